@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Bakes an octahedral impostor atlas from a glTF model without a browser:
+ *
+ *   npm run bake -- public/tree.gltf [--grid 8] [--size 2048] [--oct 0]
+ *     [--depth] [--normals] [--fit sphere|box] [--pivot origin|base|center]
+ *     [--lighting rig.json] [--unlit] [--mips 3] [--ktx2] [--gutter 2]
+ *     [--dilate 4]
+ *     [--out public/impostors] [--name tree]
+ *
+ * Frames are drawn with a software rasterizer, so this runs on CI machines
+ * without a GPU. The output is the same asset useImpostorAsset loads:
+ * <name>.color.png (+ depth/normal/albedo) and the <name>.json sidecar,
+ * written next to the model unless --out is given.
+ * --lighting reads a JSON file with the bakeLighting options of
+ * useOctahedralAtlas ({ "lights": [{ "type": "directional", ... }] }).
+ * --mips aligns the cells for that many mip levels, --ktx2 writes UASTC
+ * compressed textures with their mip chain instead of PNGs (needs toktx).
+ * --gutter pads each frame inside its cell, --dilate bleeds edge colors into
+ * transparent texels up to that many pixels.
+ */
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { deflateSync } from "node:zlib";
+import { parseArgs } from "node:util";
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import {
+  buildOctahedralMesh,
+  coordsToFlatIndex,
+  getAtlasLayout,
+  OCT_TYPE,
+} from "../src/utils/octahedralHelper.js";
+import {
+  BAKE_FIT,
+  BAKE_PIVOT,
+  collectMeshes,
+  createBakeCamera,
+  createBakeLights,
+  frameBakeObject,
+  getBakeBounds,
+  placeBakeCamera,
+} from "../src/utils/impostorBakeSetup.js";
+import {
+  createImpostorManifest,
+  getImpostorTextureFileName,
+} from "../src/utils/impostorManifest.js";
+import { encodePng } from "../src/utils/pngEncoder.js";
+import { encodeKtx2 } from "./lib/ktx2.js";
+import { NodeDracoLoader } from "./lib/nodeDracoLoader.js";
+import { dilateAtlasImages } from "./lib/dilateAtlas.js";
+import { SoftwareAtlasRenderer } from "./lib/softwareRasterizer.js";
+
+// FileLoader reports progress with ProgressEvent, which Node does not provide
+globalThis.ProgressEvent ??= class ProgressEvent extends Event {
+  constructor(type, init = {}) {
+    super(type);
+    Object.assign(this, init);
+  }
+};
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    grid: { type: "string", default: "16" },
+    size: { type: "string", default: "2048" },
+    oct: { type: "string", default: String(OCT_TYPE.HEMI) },
+    depth: { type: "boolean", default: false },
+    normals: { type: "boolean", default: false },
+    fit: { type: "string", default: BAKE_FIT.SPHERE },
+    pivot: { type: "string", default: BAKE_PIVOT.ORIGIN },
+    lighting: { type: "string" },
+    unlit: { type: "boolean", default: false },
+    mips: { type: "string", default: "0" },
+    ktx2: { type: "boolean", default: false },
+    gutter: { type: "string", default: "0" },
+    dilate: { type: "string", default: "0" },
+    out: { type: "string" },
+    name: { type: "string" },
+  },
+});
+
+async function loadModel(modelPath) {
+  const data = await readFile(modelPath);
+  const loader = new GLTFLoader();
+  loader.setDRACOLoader(new NodeDracoLoader());
+
+  const gltf = await loader.parseAsync(
+    data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+    `${path.dirname(modelPath)}/`
+  );
+  return gltf.scene;
+}
+
+async function bake() {
+  const [modelPath] = positionals;
+  if (!modelPath) {
+    throw new Error(
+      "Usage: npm run bake -- <model.gltf|glb> [--grid 16] [--size 2048] [--oct 0|1] [--depth] [--normals] [--fit sphere|box] [--pivot origin|base|center] [--lighting rig.json] [--unlit] [--mips 0] [--ktx2] [--gutter 0] [--dilate 0] [--out dir] [--name name]"
+    );
+  }
+
+  const gridSize = Number(options.grid);
+  const atlasSize = Number(options.size);
+  const octType = Number(options.oct);
+  const mipLevels = Number(options.mips);
+  const gutter = Number(options.gutter);
+  const dilation = Number(options.dilate);
+  const name = options.name ?? path.basename(modelPath, path.extname(modelPath));
+  const outDir = options.out ?? path.dirname(modelPath);
+
+  if (!Object.values(BAKE_FIT).includes(options.fit)) {
+    throw new Error(`Unknown --fit ${options.fit}`);
+  }
+  if (!Object.values(BAKE_PIVOT).includes(options.pivot)) {
+    throw new Error(`Unknown --pivot ${options.pivot}`);
+  }
+
+  const renderMesh = collectMeshes(await loadModel(modelPath));
+  if (!renderMesh) {
+    throw new Error(`No meshes found in model ${modelPath}`);
+  }
+
+  const framing = frameBakeObject(renderMesh, {
+    fit: options.fit,
+    pivot: options.pivot,
+  });
+  const camera = createBakeCamera(framing);
+  const lighting = options.lighting
+    ? JSON.parse(await readFile(options.lighting, "utf8"))
+    : {};
+  if (options.unlit) lighting.unlit = true;
+  if (lighting.environment) {
+    console.warn("Environment maps are ignored by the software baker");
+  }
+  const lights = createBakeLights(lighting);
+
+  const outputs = ["texture"];
+  if (options.depth) outputs.push("depthTexture");
+  if (options.normals) outputs.push("normalTexture", "albedoTexture");
+
+  const { framesPerSide, cellSize, contentSize } = getAtlasLayout(
+    gridSize,
+    atlasSize,
+    mipLevels,
+    gutter
+  );
+  const { pntOct } = buildOctahedralMesh(octType, gridSize);
+  const renderer = new SoftwareAtlasRenderer(atlasSize, outputs);
+
+  // Same cell layout as generateAtlas: frame (row, col) shows grid vertex row * (gridSize + 1) + col
+  for (let rowIdx = 0; rowIdx < framesPerSide; rowIdx++) {
+    for (let colIdx = 0; colIdx < framesPerSide; colIdx++) {
+      const flatIdx = coordsToFlatIndex(rowIdx, colIdx, framesPerSide);
+      const viewDir = new THREE.Vector3()
+        .fromArray(pntOct, flatIdx * 3)
+        .normalize();
+
+      placeBakeCamera(camera, viewDir, framing);
+      renderer.renderFrame({
+        object: renderMesh,
+        camera,
+        lights,
+        unlit: !!lighting.unlit,
+        viewDir,
+        framing,
+        viewport: {
+          x: colIdx * cellSize + gutter,
+          y: atlasSize - (rowIdx + 1) * cellSize + gutter,
+          size: contentSize,
+        },
+      });
+    }
+  }
+
+  if (dilation > 0) {
+    dilateAtlasImages(renderer.images, {
+      atlasSize,
+      cellSize,
+      radius: dilation,
+    });
+  }
+
+  const manifest = createImpostorManifest(
+    {
+      ...renderer.images,
+      gridSize,
+      octType,
+      atlasSize,
+      framesPerSide,
+      cellSize,
+      mipLevels,
+      gutter,
+      bounds: getBakeBounds(framing),
+    },
+    name,
+    options.ktx2 ? "ktx2" : "png"
+  );
+
+  await mkdir(outDir, { recursive: true });
+  // KTX2 textures are encoded from intermediate PNGs
+  const pngDir = options.ktx2
+    ? await mkdtemp(path.join(tmpdir(), "impostor-"))
+    : outDir;
+
+  try {
+    for (const [key, fileName] of Object.entries(manifest.textures)) {
+      const pngPath = path.join(pngDir, getImpostorTextureFileName(name, key));
+      await writeFile(
+        pngPath,
+        await encodePng(renderer.images[key], atlasSize, atlasSize, deflateSync)
+      );
+      if (options.ktx2) {
+        await encodeKtx2(pngPath, path.join(outDir, fileName), mipLevels);
+      }
+    }
+  } finally {
+    if (options.ktx2) {
+      await rm(pngDir, { recursive: true, force: true });
+    }
+  }
+  await writeFile(
+    path.join(outDir, `${name}.json`),
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+
+  console.log(
+    `Baked ${framesPerSide * framesPerSide} frames of ${modelPath} into ${path.join(outDir, `${name}.json`)}`
+  );
+}
+
+bake().catch((err) => {
+  console.error(err.message ?? err);
+  process.exitCode = 1;
+});
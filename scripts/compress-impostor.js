@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Converts the PNG atlases of a prebaked impostor to KTX2:
+ *
+ *   npm run compress -- public/impostors/tree.json
+ *
+ * Works on assets exported in the browser with exportImpostorAsset as well
+ * as on PNG output of the bake script. Each <name>.<map>.png gets a UASTC
+ * <name>.<map>.ktx2 next to it with the mip levels recorded in the sidecar,
+ * and the sidecar is updated to point at them. The PNGs are left in place.
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { validateImpostorManifest } from "../src/utils/impostorManifest.js";
+import { encodeKtx2 } from "./lib/ktx2.js";
+
+async function compress() {
+  const [manifestPath] = process.argv.slice(2);
+  if (!manifestPath) {
+    throw new Error("Usage: npm run compress -- <impostor.json>");
+  }
+
+  const manifest = validateImpostorManifest(
+    JSON.parse(await readFile(manifestPath, "utf8"))
+  );
+  const assetDir = path.dirname(manifestPath);
+
+  for (const [key, fileName] of Object.entries(manifest.textures)) {
+    if (!fileName.endsWith(".png")) continue;
+
+    const ktx2Name = fileName.replace(/\.png$/, ".ktx2");
+    await encodeKtx2(
+      path.join(assetDir, fileName),
+      path.join(assetDir, ktx2Name),
+      manifest.mipLevels ?? 0
+    );
+    manifest.textures[key] = ktx2Name;
+  }
+
+  await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Compressed the atlases of ${manifestPath} to KTX2`);
+}
+
+compress().catch((err) => {
+  console.error(err.message ?? err);
+  process.exitCode = 1;
+});
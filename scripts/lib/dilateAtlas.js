@@ -0,0 +1,74 @@
+/**
+ * CPU version of the atlas edge dilation (src/utils/atlasDilation.js) for
+ * the software baker: transparent texels take the color of the nearest
+ * covered texel of the same cell within `radius` pixels and keep their zero
+ * alpha. Same row search then column search as the GPU passes.
+ * @param {Object<string, Uint8Array>} images - Top-down RGBA8 atlases, coverage is read from images.texture
+ * @param {Object} params - { atlasSize, cellSize, radius }
+ */
+export function dilateAtlasImages(images, { atlasSize, cellSize, radius }) {
+  const coverage = images.texture;
+  const texelCount = atlasSize * atlasSize;
+  const rowOffsets = new Int32Array(texelCount);
+  const rowFound = new Uint8Array(texelCount);
+  const nearest = new Int32Array(texelCount).fill(-1);
+
+  const isCovered = (x, y) => coverage[(y * atlasSize + x) * 4 + 3] > 0;
+  const sameCellX = (a, b) =>
+    Math.floor(a / cellSize) === Math.floor(b / cellSize);
+  // Cell rows are stacked from the bottom of the atlas
+  const sameCellY = (a, b) =>
+    sameCellX(atlasSize - 1 - a, atlasSize - 1 - b);
+
+  for (let y = 0; y < atlasSize; y++) {
+    for (let x = 0; x < atlasSize; x++) {
+      let bestDistance = radius + 1;
+      for (let offset = -radius; offset <= radius; offset++) {
+        const sampleX = x + offset;
+        if (sampleX < 0 || sampleX >= atlasSize || !sameCellX(sampleX, x)) {
+          continue;
+        }
+        if (isCovered(sampleX, y) && Math.abs(offset) < bestDistance) {
+          bestDistance = Math.abs(offset);
+          rowOffsets[y * atlasSize + x] = offset;
+          rowFound[y * atlasSize + x] = 1;
+        }
+      }
+    }
+  }
+
+  for (let y = 0; y < atlasSize; y++) {
+    for (let x = 0; x < atlasSize; x++) {
+      if (isCovered(x, y)) continue;
+
+      let bestDistance = radius * radius + 1;
+      for (let offset = -radius; offset <= radius; offset++) {
+        const sampleY = y + offset;
+        if (sampleY < 0 || sampleY >= atlasSize || !sameCellY(sampleY, y)) {
+          continue;
+        }
+
+        const rowIndex = sampleY * atlasSize + x;
+        if (!rowFound[rowIndex]) continue;
+
+        const offsetX = rowOffsets[rowIndex];
+        const distance = offsetX * offsetX + offset * offset;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          nearest[y * atlasSize + x] = rowIndex + offsetX;
+        }
+      }
+    }
+  }
+
+  Object.values(images).forEach((image) => {
+    for (let index = 0; index < texelCount; index++) {
+      const source = nearest[index];
+      if (source === -1) continue;
+
+      image[index * 4] = image[source * 4];
+      image[index * 4 + 1] = image[source * 4 + 1];
+      image[index * 4 + 2] = image[source * 4 + 2];
+    }
+  });
+}
@@ -0,0 +1,52 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Compresses an atlas PNG into a UASTC KTX2 file with the toktx tool from
+ * KTX-Software (https://github.com/KhronosGroup/KTX-Software), which has to
+ * be on the PATH. Data is tagged linear like the PNG atlases, mipmaps use a
+ * box filter so with the aligned cell layout no level mixes two frames, and
+ * rows are flipped to match the PNGs as loaded by TextureLoader.
+ * @param {string} pngPath - Source atlas PNG
+ * @param {string} ktx2Path - Output file
+ * @param {number} mipLevels - Mip levels below the full resolution to store
+ */
+export async function encodeKtx2(pngPath, ktx2Path, mipLevels = 0) {
+  const args = [
+    "--t2",
+    "--encode",
+    "uastc",
+    "--uastc_quality",
+    "2",
+    "--zcmp",
+    "18",
+    "--assign_oetf",
+    "linear",
+    "--assign_primaries",
+    "none",
+    "--lower_left_maps_to_s0t0",
+  ];
+  if (mipLevels > 0) {
+    args.push(
+      "--genmipmap",
+      "--filter",
+      "box",
+      "--levels",
+      String(mipLevels + 1)
+    );
+  }
+  args.push(ktx2Path, pngPath);
+
+  try {
+    await execFileAsync("toktx", args);
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new Error(
+        "KTX2 output needs toktx from KTX-Software on the PATH: https://github.com/KhronosGroup/KTX-Software/releases"
+      );
+    }
+    throw new Error(`toktx failed for ${pngPath}: ${err.stderr || err.message}`);
+  }
+}
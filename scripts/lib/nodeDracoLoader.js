@@ -0,0 +1,103 @@
+import * as THREE from "three";
+import draco3d from "draco3d";
+
+const DRACO_DATA_TYPES = {
+  Float32Array: "DT_FLOAT32",
+  Int8Array: "DT_INT8",
+  Int16Array: "DT_INT16",
+  Int32Array: "DT_INT32",
+  Uint8Array: "DT_UINT8",
+  Uint16Array: "DT_UINT16",
+  Uint32Array: "DT_UINT32",
+};
+
+/**
+ * Minimal stand-in for DRACOLoader that GLTFLoader can use in Node.
+ * DRACOLoader decodes in Web Workers; this decodes synchronously with the
+ * draco3d npm module, following the same attribute mapping.
+ */
+export class NodeDracoLoader {
+  constructor() {
+    this.decoderModule = null;
+  }
+
+  preload() {
+    return this;
+  }
+
+  async getDecoderModule() {
+    if (!this.decoderModule) {
+      this.decoderModule = await draco3d.createDecoderModule({});
+    }
+    return this.decoderModule;
+  }
+
+  async decodeDracoFile(
+    buffer,
+    callback,
+    attributeIDs,
+    attributeTypes,
+    vertexColorSpace,
+    onError = () => {}
+  ) {
+    try {
+      const draco = await this.getDecoderModule();
+      callback(decodeGeometry(draco, buffer, attributeIDs, attributeTypes));
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  dispose() {}
+}
+
+/**
+ * Decodes one Draco mesh, attributes are looked up by their glTF unique IDs.
+ */
+function decodeGeometry(draco, buffer, attributeIDs, attributeTypes) {
+  const decoder = new draco.Decoder();
+  const dracoMesh = new draco.Mesh();
+  const array = new Int8Array(buffer);
+
+  try {
+    const status = decoder.DecodeArrayToMesh(array, array.byteLength, dracoMesh);
+    if (!status.ok() || dracoMesh.ptr === 0) {
+      throw new Error(`Draco decoding failed: ${status.error_msg()}`);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+
+    Object.entries(attributeIDs).forEach(([name, uniqueId]) => {
+      const ArrayType = globalThis[attributeTypes[name]];
+      const attribute = decoder.GetAttributeByUniqueId(dracoMesh, uniqueId);
+      const itemSize = attribute.num_components();
+      const count = dracoMesh.num_points() * itemSize;
+      const byteLength = count * ArrayType.BYTES_PER_ELEMENT;
+
+      const ptr = draco._malloc(byteLength);
+      decoder.GetAttributeDataArrayForAllPoints(
+        dracoMesh,
+        attribute,
+        draco[DRACO_DATA_TYPES[ArrayType.name]],
+        byteLength,
+        ptr
+      );
+      const values = new ArrayType(draco.HEAPF32.buffer, ptr, count).slice();
+      draco._free(ptr);
+
+      geometry.setAttribute(name, new THREE.BufferAttribute(values, itemSize));
+    });
+
+    const indexCount = dracoMesh.num_faces() * 3;
+    const indexPtr = draco._malloc(indexCount * 4);
+    decoder.GetTrianglesUInt32Array(dracoMesh, indexCount * 4, indexPtr);
+    const index = new Uint32Array(draco.HEAPF32.buffer, indexPtr, indexCount).slice();
+    draco._free(indexPtr);
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+
+    return geometry;
+  } finally {
+    draco.destroy(dracoMesh);
+    draco.destroy(decoder);
+  }
+}
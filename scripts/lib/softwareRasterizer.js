@@ -0,0 +1,291 @@
+import * as THREE from "three";
+
+/**
+ * CPU rasterizer for atlas bakes on machines without a GPU.
+ * It draws triangles of MeshStandardMaterial-like meshes into RGBA8 images
+ * with a depth buffer and Lambert shading from ambient, hemisphere and
+ * directional lights, matching the diffuse term of the GPU bake. Textures,
+ * specular and environment maps are not rendered.
+ */
+export class SoftwareAtlasRenderer {
+  /**
+   * @param {number} atlasSize - Atlas width and height in pixels
+   * @param {string[]} outputs - Atlas payload keys to fill (texture, depthTexture, normalTexture, albedoTexture)
+   */
+  constructor(atlasSize, outputs) {
+    this.atlasSize = atlasSize;
+    this.images = {};
+    outputs.forEach((key) => {
+      this.images[key] = new Uint8Array(atlasSize * atlasSize * 4);
+    });
+    this.depthBuffer = new Float32Array(0);
+  }
+
+  /**
+   * Renders one frame into a square viewport of the atlas.
+   * @param {Object} params - Frame parameters
+   * @param {THREE.Object3D} params.object - Framed group to draw
+   * @param {THREE.OrthographicCamera} params.camera - Placed bake camera
+   * @param {THREE.Light[]} params.lights - Bake lights
+   * @param {boolean} params.unlit - Write plain albedo to the color output
+   * @param {THREE.Vector3} params.viewDir - Unit view direction of the frame
+   * @param {Object} params.framing - Result of frameBakeObject
+   * @param {{ x: number, y: number, size: number }} params.viewport - Cell in pixels, y from the top
+   */
+  renderFrame({
+    object,
+    camera,
+    lights,
+    unlit = false,
+    viewDir,
+    framing,
+    viewport,
+  }) {
+    const { size } = viewport;
+    if (this.depthBuffer.length !== size * size) {
+      this.depthBuffer = new Float32Array(size * size);
+    }
+    this.depthBuffer.fill(-Infinity);
+
+    object.updateMatrixWorld(true);
+    camera.updateMatrixWorld();
+    camera.updateProjectionMatrix();
+
+    const viewProjection = new THREE.Matrix4().multiplyMatrices(
+      camera.projectionMatrix,
+      camera.matrixWorldInverse
+    );
+    const frame = {
+      viewport,
+      viewProjection,
+      viewMatrix: camera.matrixWorldInverse,
+      lights: collectLights(lights),
+      unlit,
+      viewDir,
+      lookAtTarget: framing.lookAtTarget,
+      depthScale: 1 / (framing.orthoSize * 2),
+    };
+
+    object.traverse((node) => {
+      if (node.isMesh && node.visible && node.geometry) {
+        this.drawMesh(node, frame);
+      }
+    });
+  }
+
+  drawMesh(mesh, frame) {
+    const { geometry } = mesh;
+    const position = geometry.getAttribute("position");
+    if (!position) return;
+
+    if (!geometry.getAttribute("normal")) {
+      geometry.computeVertexNormals();
+    }
+    const normal = geometry.getAttribute("normal");
+    const material = Array.isArray(mesh.material)
+      ? mesh.material[0]
+      : mesh.material;
+
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld);
+    const vertexCount = position.count;
+    const world = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const screen = new Float32Array(vertexCount * 3);
+    const vertex = new THREE.Vector3();
+    const { size } = frame.viewport;
+
+    for (let index = 0; index < vertexCount; index++) {
+      vertex.fromBufferAttribute(position, index).applyMatrix4(mesh.matrixWorld);
+      vertex.toArray(world, index * 3);
+      const viewZ = vertex.clone().applyMatrix4(frame.viewMatrix).z;
+
+      vertex.applyMatrix4(frame.viewProjection);
+      screen[index * 3] = (vertex.x * 0.5 + 0.5) * size;
+      screen[index * 3 + 1] = (0.5 - vertex.y * 0.5) * size;
+      screen[index * 3 + 2] = viewZ;
+
+      vertex
+        .fromBufferAttribute(normal, index)
+        .applyMatrix3(normalMatrix)
+        .normalize()
+        .toArray(normals, index * 3);
+    }
+
+    const surface = {
+      albedo: material?.color ? material.color.clone() : new THREE.Color(1, 1, 1),
+      metalness: material?.metalness ?? 0,
+      opacity: material?.opacity ?? 1,
+      side: material?.side ?? THREE.FrontSide,
+    };
+
+    const index = geometry.getIndex();
+    const triangleCount = index ? index.count / 3 : vertexCount / 3;
+    for (let triangle = 0; triangle < triangleCount; triangle++) {
+      const a = index ? index.getX(triangle * 3) : triangle * 3;
+      const b = index ? index.getX(triangle * 3 + 1) : triangle * 3 + 1;
+      const c = index ? index.getX(triangle * 3 + 2) : triangle * 3 + 2;
+      this.drawTriangle([a, b, c], { world, normals, screen }, surface, frame);
+    }
+  }
+
+  drawTriangle(vertices, buffers, surface, frame) {
+    const { world, normals, screen } = buffers;
+    const [a, b, c] = vertices;
+    const ax = screen[a * 3];
+    const ay = screen[a * 3 + 1];
+    const bx = screen[b * 3];
+    const by = screen[b * 3 + 1];
+    const cx = screen[c * 3];
+    const cy = screen[c * 3 + 1];
+
+    // Screen y points down, so counter-clockwise front faces have negative area
+    const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    if (area === 0) return;
+    const backFacing = area > 0;
+    if (backFacing && surface.side === THREE.FrontSide) return;
+    if (!backFacing && surface.side === THREE.BackSide) return;
+
+    const { size, x: offsetX, y: offsetY } = frame.viewport;
+    const minX = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+    const maxX = Math.min(size - 1, Math.ceil(Math.max(ax, bx, cx)));
+    const minY = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+    const maxY = Math.min(size - 1, Math.ceil(Math.max(ay, by, cy)));
+
+    const point = new THREE.Vector3();
+    const surfaceNormal = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    for (let py = minY; py <= maxY; py++) {
+      for (let px = minX; px <= maxX; px++) {
+        const sx = px + 0.5;
+        const sy = py + 0.5;
+        const wa = ((bx - sx) * (cy - sy) - (by - sy) * (cx - sx)) / area;
+        const wb = ((cx - sx) * (ay - sy) - (cy - sy) * (ax - sx)) / area;
+        const wc = 1 - wa - wb;
+        if (wa < 0 || wb < 0 || wc < 0) continue;
+
+        // Orthographic projection: attributes interpolate linearly in screen space
+        const viewZ =
+          screen[a * 3 + 2] * wa + screen[b * 3 + 2] * wb + screen[c * 3 + 2] * wc;
+        const depthIndex = py * size + px;
+        if (viewZ <= this.depthBuffer[depthIndex]) continue;
+        this.depthBuffer[depthIndex] = viewZ;
+
+        interpolate(point, world, vertices, wa, wb, wc);
+        interpolate(surfaceNormal, normals, vertices, wa, wb, wc).normalize();
+        if (backFacing) surfaceNormal.negate();
+
+        const pixel = ((offsetY + py) * this.atlasSize + offsetX + px) * 4;
+
+        if (this.images.texture) {
+          if (frame.unlit) {
+            color.copy(surface.albedo);
+          } else {
+            shadeLambert(color, surface, surfaceNormal, frame.lights);
+          }
+          writeColor(this.images.texture, pixel, color.r, color.g, color.b, surface.opacity);
+        }
+
+        if (this.images.depthTexture) {
+          const height =
+            point.sub(frame.lookAtTarget).dot(frame.viewDir) * frame.depthScale + 0.5;
+          writeColor(this.images.depthTexture, pixel, height, height, height, 1);
+        }
+
+        if (this.images.normalTexture) {
+          writeColor(
+            this.images.normalTexture,
+            pixel,
+            surfaceNormal.x * 0.5 + 0.5,
+            surfaceNormal.y * 0.5 + 0.5,
+            surfaceNormal.z * 0.5 + 0.5,
+            1
+          );
+        }
+
+        if (this.images.albedoTexture) {
+          const { albedo } = surface;
+          writeColor(this.images.albedoTexture, pixel, albedo.r, albedo.g, albedo.b, 1);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Splits lights into ambient irradiance, hemisphere lights and directional
+ * lights pointing from the surface towards the light.
+ */
+function collectLights(lights) {
+  const ambient = new THREE.Color(0, 0, 0);
+  const hemisphere = [];
+  const directional = [];
+
+  lights.forEach((light) => {
+    const radiance = light.color.clone().multiplyScalar(light.intensity);
+
+    if (light.isAmbientLight) {
+      ambient.add(radiance);
+    } else if (light.isHemisphereLight) {
+      light.updateMatrixWorld();
+      hemisphere.push({
+        up: new THREE.Vector3().setFromMatrixPosition(light.matrixWorld).normalize(),
+        sky: radiance,
+        ground: light.groundColor.clone().multiplyScalar(light.intensity),
+      });
+    } else if (light.isDirectionalLight) {
+      light.updateMatrixWorld();
+      light.target.updateMatrixWorld();
+      const direction = new THREE.Vector3()
+        .setFromMatrixPosition(light.matrixWorld)
+        .sub(new THREE.Vector3().setFromMatrixPosition(light.target.matrixWorld))
+        .normalize();
+      directional.push({ direction, radiance });
+    }
+  });
+
+  return { ambient, hemisphere, directional };
+}
+
+/**
+ * Diffuse term of MeshStandardMaterial: albedo / PI times the irradiance.
+ */
+function shadeLambert(target, surface, normal, lights) {
+  target.copy(lights.ambient);
+  lights.hemisphere.forEach(({ up, sky, ground }) => {
+    const weight = normal.dot(up) * 0.5 + 0.5;
+    target.r += ground.r + (sky.r - ground.r) * weight;
+    target.g += ground.g + (sky.g - ground.g) * weight;
+    target.b += ground.b + (sky.b - ground.b) * weight;
+  });
+  lights.directional.forEach(({ direction, radiance }) => {
+    const irradiance = Math.max(normal.dot(direction), 0);
+    target.r += radiance.r * irradiance;
+    target.g += radiance.g * irradiance;
+    target.b += radiance.b * irradiance;
+  });
+
+  return target
+    .multiply(surface.albedo)
+    .multiplyScalar((1 - surface.metalness) / Math.PI);
+}
+
+function interpolate(target, values, vertices, wa, wb, wc) {
+  const [a, b, c] = vertices;
+  return target.set(
+    values[a * 3] * wa + values[b * 3] * wb + values[c * 3] * wc,
+    values[a * 3 + 1] * wa + values[b * 3 + 1] * wb + values[c * 3 + 1] * wc,
+    values[a * 3 + 2] * wa + values[b * 3 + 2] * wb + values[c * 3 + 2] * wc
+  );
+}
+
+function writeColor(image, pixel, r, g, b, a) {
+  image[pixel] = toByte(r);
+  image[pixel + 1] = toByte(g);
+  image[pixel + 2] = toByte(b);
+  image[pixel + 3] = toByte(a);
+}
+
+function toByte(value) {
+  return Math.round(Math.min(Math.max(value, 0), 1) * 255);
+}
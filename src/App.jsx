@@ -9,6 +9,7 @@ export default function App() {
   return (
     <>
       <Canvas
+        shadows
         gl={async (props) => {
           extend(THREE);
           const renderer = new THREE.WebGPURenderer(props);
@@ -27,11 +28,15 @@ export default function App() {
           <SceneLight />
           <OrbitControls />
 
+          <mesh rotation-x={-Math.PI / 2} receiveShadow>
+            <planeGeometry args={[80, 80]} />
+            <meshStandardMaterial color="#7d8f63" roughness={1} />
+          </mesh>
+
           <TreeOctahedralImpostorField
             // modelPath="/tree.gltf"
             modelPath="/tree.glb"
-            // modelPath="/car.gltf" // This we can see the rotation problems
-            position={[0, 0.5, 0]}
+            // modelPath="/car.gltf"
             count={100} // Intented to be 20.000 trees
             areaSize={[60, 60]}
             minScale={1}
@@ -41,7 +46,6 @@ export default function App() {
             gridSize={8}
             atlasSize={2048}
             octType={0}
-            geometryArgs={[2, 2]}
             roughness={1}
             metalness={0}
             alphaTest={0.6}
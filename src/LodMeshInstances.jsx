@@ -0,0 +1,215 @@
+import { useEffect, useMemo, useRef } from "react";
+import * as THREE from "three/webgpu";
+import { useFrame } from "@react-three/fiber";
+import {
+  computeModelBounds,
+  getPivotPoint,
+} from "./utils/impostorBakeSetup";
+import {
+  getChunkCoordsInRange,
+  getChunkKey,
+  partitionInstances,
+} from "./utils/instanceChunks";
+import { createDitherFadeMaterial } from "./utils/lodCrossFade";
+import { IMPOSTOR_INSTANCE_ATTRIBUTES } from "./utils/octahedralImpostorMaterial";
+
+const cameraLocalPosition = new THREE.Vector3();
+const instancePosition = new THREE.Vector3();
+const instanceScale = new THREE.Vector3();
+const instanceQuaternion = new THREE.Quaternion();
+const instanceMatrix = new THREE.Matrix4();
+const partMatrix = new THREE.Matrix4();
+
+/**
+ * Transform of a node relative to the mesh root, without touching the
+ * matrices of the shared source mesh.
+ */
+function getMatrixInRoot(node, root) {
+  const matrix = new THREE.Matrix4();
+  const nodeMatrix = new THREE.Matrix4();
+
+  for (let current = node; current && current !== root; current = current.parent) {
+    nodeMatrix.compose(current.position, current.quaternion, current.scale);
+    matrix.premultiply(nodeMatrix);
+  }
+
+  return matrix;
+}
+
+/**
+ * Real mesh level of an impostor field. Whenever the camera moves, the
+ * instances within the LOD range are packed into one InstancedMesh per source
+ * mesh part, so only nearby trees cost full geometry. Instances are bucketed
+ * in a grid of LOD range sized cells, so only the cells around the camera
+ * are scanned. The parts share the field's `fade` node
+ * and read the same per-instance offset attribute as the impostor, so both
+ * levels dither against each other per instance.
+ */
+export default function LodMeshInstances({
+  mesh,
+  instances,
+  fade,
+  lodDistance,
+  lodFadeRange,
+  bakePivot,
+  receiveShadow = false,
+}) {
+  const groupRef = useRef(null);
+  const count = instances.length;
+
+  // Beyond this distance the fade factor is 1 and the impostor is fully shown
+  const maxDistance = lodDistance + lodFadeRange * 0.5;
+  const cellSize = Math.max(maxDistance, 1);
+
+  const grid = useMemo(
+    () =>
+      new Map(
+        partitionInstances(instances, cellSize).map((cell) => [
+          cell.key,
+          cell.instances,
+        ])
+      ),
+    [instances, cellSize]
+  );
+
+  const parts = useMemo(() => {
+    const result = [];
+    // Instance positions are impostor origins, shift the model to the same pivot
+    const pivotPoint = getPivotPoint(computeModelBounds(mesh), bakePivot);
+    const pivotMatrix = new THREE.Matrix4().makeTranslation(pivotPoint.negate());
+
+    mesh.traverse((node) => {
+      if (!(node instanceof THREE.Mesh) || !node.geometry) return;
+
+      // Share the source attributes, only the instance offsets are new
+      const source = node.geometry;
+      const geometry = new THREE.BufferGeometry();
+      geometry.setIndex(source.index);
+      Object.entries(source.attributes).forEach(([name, attribute]) => {
+        geometry.setAttribute(name, attribute);
+      });
+      source.groups.forEach(({ start, count: groupCount, materialIndex }) => {
+        geometry.addGroup(start, groupCount, materialIndex);
+      });
+
+      const offsets = new THREE.InstancedBufferAttribute(
+        new Float32Array(count * 3),
+        3
+      );
+      offsets.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(IMPOSTOR_INSTANCE_ATTRIBUTES.offset, offsets);
+
+      const material = Array.isArray(node.material)
+        ? node.material.map((entry) => createDitherFadeMaterial(entry, fade))
+        : createDitherFadeMaterial(node.material, fade);
+
+      const object = new THREE.InstancedMesh(geometry, material, count);
+      object.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      object.count = 0;
+      // The visible set changes every frame, bounds would always be stale
+      object.frustumCulled = false;
+
+      result.push({
+        object,
+        offsets,
+        localMatrix: getMatrixInRoot(node, mesh).premultiply(pivotMatrix),
+      });
+    });
+
+    return result;
+  }, [mesh, count, fade, bakePivot]);
+
+  useEffect(() => {
+    return () => {
+      parts.forEach(({ object }) => {
+        [object.material].flat().forEach((material) => material.dispose());
+        object.dispose();
+      });
+    };
+  }, [parts]);
+
+  // Camera position of the last rebuild, reset whenever the near set can
+  // change for another reason
+  const lastCameraPosition = useMemo(
+    () => new THREE.Vector3(Infinity, Infinity, Infinity),
+    [grid, parts, maxDistance]
+  );
+
+  useFrame(({ camera }) => {
+    const group = groupRef.current;
+    if (!group) return;
+
+    camera.getWorldPosition(cameraLocalPosition);
+    group.worldToLocal(cameraLocalPosition);
+    if (cameraLocalPosition.equals(lastCameraPosition)) return;
+    lastCameraPosition.copy(cameraLocalPosition);
+
+    const cells = getChunkCoordsInRange(
+      cameraLocalPosition.x,
+      cameraLocalPosition.z,
+      cellSize,
+      maxDistance
+    );
+    let nearCount = 0;
+
+    for (let cellIndex = 0; cellIndex < cells.length; cellIndex += 1) {
+      const cellInstances = grid.get(getChunkKey(...cells[cellIndex]));
+      if (!cellInstances) continue;
+
+      for (let index = 0; index < cellInstances.length; index += 1) {
+        const instance = cellInstances[index];
+        const [x, y, z] = instance.position;
+        instancePosition.set(x, y, z);
+        if (instancePosition.distanceTo(cameraLocalPosition) >= maxDistance) {
+          continue;
+        }
+
+        instanceScale.fromArray(instance.scale);
+        if (instance.rotation) {
+          instanceQuaternion.fromArray(instance.rotation);
+        } else {
+          instanceQuaternion.identity();
+        }
+        instanceMatrix.compose(
+          instancePosition,
+          instanceQuaternion,
+          instanceScale
+        );
+
+        for (let partIndex = 0; partIndex < parts.length; partIndex += 1) {
+          const { object, offsets, localMatrix } = parts[partIndex];
+          object.setMatrixAt(
+            nearCount,
+            partMatrix.multiplyMatrices(instanceMatrix, localMatrix)
+          );
+          offsets.setXYZ(nearCount, x, y, z);
+        }
+        nearCount += 1;
+      }
+    }
+
+    parts.forEach(({ object, offsets }) => {
+      object.count = nearCount;
+      if (nearCount === 0) return;
+
+      object.instanceMatrix.clearUpdateRanges();
+      object.instanceMatrix.addUpdateRange(0, nearCount * 16);
+      object.instanceMatrix.needsUpdate = true;
+      offsets.clearUpdateRanges();
+      offsets.addUpdateRange(0, nearCount * 3);
+      offsets.needsUpdate = true;
+    });
+  });
+
+  return (
+    <group ref={groupRef}>
+      {parts.map(({ object }) => (
+        <primitive
+          key={object.uuid}
+          object={object}
+          receiveShadow={receiveShadow}
+        />
+      ))}
+    </group>
+  );
+}
@@ -0,0 +1,542 @@
+import { useMemo, useEffect, useRef, useState } from "react";
+import * as THREE from "three/webgpu";
+import { attribute, modelWorldMatrix, uniform, vec4 } from "three/tsl";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useOctahedralAtlas } from "./hooks/useOctahedralAtlas";
+import { useOctahedralAtlasArray } from "./hooks/useOctahedralAtlasArray";
+import LodMeshInstances from "./LodMeshInstances";
+import { lodFadeFactor } from "./utils/lodCrossFade";
+import { createChunk, partitionInstances } from "./utils/instanceChunks";
+import { createImpostorGpuCulling } from "./utils/impostorGpuCulling";
+import {
+  createColorVariationUniforms,
+  readInstanceColor,
+  updateColorVariationUniforms,
+} from "./utils/impostorColorVariation";
+import {
+  createBillboardGeometry,
+  createOctahedralImpostorMaterial,
+  IMPOSTOR_INSTANCE_ATTRIBUTES,
+} from "./utils/octahedralImpostorMaterial";
+
+const IDENTITY_ROTATION = [0, 0, 0, 1];
+// Mid values: no jitter, middle of the tint gradient
+const DEFAULT_VARIATION = [0.5, 0.5, 0.5, 0.5];
+
+const cameraLocalPosition = new THREE.Vector3();
+const cameraWorldPosition = new THREE.Vector3();
+const chunkSphere = new THREE.Sphere();
+
+/**
+ * Per-instance attributes and their sizes, packed in this order into one
+ * interleaved buffer: WebGPU only binds a handful of vertex buffers per draw.
+ */
+const INSTANCE_LAYOUT = [
+  ["offset", 3],
+  ["scale", 3],
+  ["rotation", 4],
+  ["species", 1],
+  ["phase", 1],
+  ["variation", 4],
+  ["color", 3],
+];
+const INSTANCE_STRIDE = INSTANCE_LAYOUT.reduce(
+  (sum, [, size]) => sum + size,
+  0
+);
+
+/**
+ * Quad geometry with per-instance placement attributes, sized and centered
+ * from the baked bounds unless geometryArgs is given.
+ */
+function createInstanceGeometry(atlas, geometryArgs, instances) {
+  const quad = createBillboardGeometry(atlas, geometryArgs);
+  const data = new Float32Array(instances.length * INSTANCE_STRIDE);
+  const color = new THREE.Color();
+
+  instances.forEach((instance, index) => {
+    const values = {
+      offset: instance.position,
+      scale: instance.scale,
+      rotation: instance.rotation ?? IDENTITY_ROTATION,
+      species: [instance.species ?? 0],
+      phase: [instance.phase ?? 0],
+      variation: instance.variation ?? DEFAULT_VARIATION,
+      color: readInstanceColor(instance.color, color).toArray(),
+    };
+    let offset = index * INSTANCE_STRIDE;
+    INSTANCE_LAYOUT.forEach(([key, size]) => {
+      data.set(values[key], offset);
+      offset += size;
+    });
+  });
+
+  const buffer = new THREE.InstancedInterleavedBuffer(data, INSTANCE_STRIDE);
+  let offset = 0;
+  INSTANCE_LAYOUT.forEach(([key, size]) => {
+    quad.setAttribute(
+      IMPOSTOR_INSTANCE_ATTRIBUTES[key],
+      new THREE.InterleavedBufferAttribute(buffer, size, offset)
+    );
+    offset += size;
+  });
+
+  return quad;
+}
+
+/**
+ * LOD fade factor of the instance whose offset (mesh local space) is given.
+ * @param {Node<vec3>} offset - Instance offset
+ * @param {Object} lodUniforms - { distance, fadeRange }
+ * @returns {Node<float>}
+ */
+function instanceFade(offset, { distance, fadeRange }) {
+  const centerWorld = modelWorldMatrix.mul(vec4(offset, 1.0)).xyz;
+  return lodFadeFactor(centerWorld, distance, fadeRange);
+}
+
+/**
+ * Renders many octahedral impostors of the same mesh in a single instanced draw call.
+ * Each entry of `instances` is `{ position: [x, y, z], scale: [x, y, z] }`,
+ * optionally with `rotation: [x, y, z, w]`, a quaternion the impostor frames
+ * follow (e.g. trees aligned to a slope), and `phase` in [0, 1), the offset
+ * of the instance in the `wind` sway (see impostorWind). `variation`, four
+ * values in [0, 1), jitters the instance color when `colorVariation` is set
+ * (`{ hue, saturation, brightness, tint: [from, to], tintStrength }`, see
+ * impostorColorVariation), and `color` ([r, g, b] or a CSS color) multiplies
+ * it, e.g. to highlight a selection.
+ * The atlas is shared through useOctahedralAtlas; position and scale live in
+ * per-instance attributes and each instance picks its atlas frames in the shader.
+ * Pass a prebaked `atlas` instead of `mesh` to render without baking.
+ * For mixed fields, `mesh` can be a list of species baked into one atlas
+ * array (see useOctahedralAtlasArray), or `atlas` an atlas array, and each
+ * instance adds `species: index` to pick its layer. All species still render
+ * in the same draw call.
+ * With `lodDistance` (and a `mesh`), instances closer than that distance show
+ * the real mesh, dithered against the impostor within `lodFadeRange`.
+ * For large fields, `chunkSize` splits the instances into a grid of chunks,
+ * one draw call each, so chunks outside the view are frustum culled and
+ * chunks farther than `cullDistance` are hidden. Prebuilt `chunks`
+ * (`[{ key, instances }]`, e.g. streamed in around the camera) replace
+ * `instances`; all chunks share one material.
+ * With `gpuCulling`, a compute pass frustum and distance culls every
+ * instance on the GPU each frame and the survivors are drawn with one
+ * indirect draw call (chunks are merged back into it). It needs the WebGPU
+ * backend and falls back to regular instancing on WebGL. Only the instances
+ * it keeps cast shadows.
+ * Impostors cast shadows with frames picked from the light and receive them,
+ * unless `castShadow` / `receiveShadow` are turned off.
+ * Raising `bakeVersion` rebakes a single `mesh` after it changed, see
+ * useOctahedralAtlas.
+ */
+export default function OctahedralImpostorInstances({
+  mesh,
+  instances = [],
+  gridSize = 16,
+  atlasSize = 2048,
+  octType = 0,
+  geometryArgs = null,
+  roughness = 1,
+  metalness = 0,
+  alphaTest = 0.5,
+  envMapIntensity = 1,
+  bakeDepth = false,
+  bakeNormals = false,
+  bakeFit,
+  bakePivot,
+  bakeLighting = null,
+  mipLevels = 0,
+  gutter = 0,
+  dilation = 0,
+  atlas: prebakedAtlas = null,
+  lodDistance = null,
+  lodFadeRange = 2,
+  chunkSize = null,
+  chunks = null,
+  cullDistance = null,
+  gpuCulling = false,
+  castShadow = true,
+  receiveShadow = true,
+  bakeVersion = 0,
+  wind = false,
+  colorVariation = null,
+  enabled = true,
+}) {
+  const { scene, gl } = useThree();
+  const groupRef = useRef(null);
+  const speciesMeshes = Array.isArray(mesh) ? mesh : null;
+
+  const bakeSettings = {
+    gridSize,
+    atlasSize,
+    octType,
+    bakeDepth,
+    bakeNormals,
+    bakeFit,
+    bakePivot,
+    bakeLighting,
+    mipLevels,
+    gutter,
+    dilation,
+  };
+  const { atlas: bakedAtlas } = useOctahedralAtlas({
+    ...bakeSettings,
+    mesh: speciesMeshes ? null : mesh,
+    version: bakeVersion,
+    enabled: enabled && !!mesh && !speciesMeshes && !prebakedAtlas,
+  });
+  const { atlas: bakedAtlasArray } = useOctahedralAtlasArray({
+    ...bakeSettings,
+    meshes: speciesMeshes,
+    enabled: enabled && !!speciesMeshes && !prebakedAtlas,
+  });
+
+  // A prebaked atlas (see useImpostorAsset) skips the runtime bake
+  const atlas = prebakedAtlas ?? bakedAtlas ?? bakedAtlasArray;
+
+  // One chunk holding every instance unless chunked
+  const instanceChunks = useMemo(() => {
+    if (chunks) {
+      return chunks.map((chunk) =>
+        chunk.box ? chunk : createChunk(chunk.key, chunk.instances)
+      );
+    }
+    if (chunkSize) {
+      return partitionInstances(instances, chunkSize);
+    }
+    return [{ key: "all", instances, box: null }];
+  }, [chunks, chunkSize, instances]);
+  const chunked = !!chunks || !!chunkSize;
+
+  // Compute shaders and indirect draws are WebGPU only
+  const gpuCullingSupported = !!gl.backend?.isWebGPUBackend;
+  useEffect(() => {
+    if (gpuCulling && !gpuCullingSupported) {
+      console.warn(
+        "OctahedralImpostorInstances: gpuCulling needs the WebGPU backend, falling back to regular instancing"
+      );
+    }
+  }, [gpuCulling, gpuCullingSupported]);
+
+  // Every instance in one GPU culled draw
+  const gpuCulled = useMemo(() => {
+    if (!gpuCulling || !gpuCullingSupported || !atlas) return null;
+
+    const allInstances = instanceChunks.flatMap((chunk) => chunk.instances);
+    if (allInstances.length === 0) return null;
+
+    const geometry = createBillboardGeometry(atlas, geometryArgs);
+    return {
+      geometry,
+      culling: createImpostorGpuCulling(allInstances, geometry),
+    };
+  }, [gpuCulling, gpuCullingSupported, atlas, geometryArgs, instanceChunks]);
+
+  useEffect(() => {
+    return () => {
+      if (gpuCulled) {
+        gpuCulled.geometry.dispose();
+        gpuCulled.culling.dispose();
+      }
+    };
+  }, [gpuCulled]);
+
+  const instanceNodes = gpuCulled?.culling.instanceNodes ?? null;
+
+  const lodEnabled = lodDistance !== null && !!mesh;
+
+  const lodUniforms = useMemo(
+    () => ({ distance: uniform(0), fadeRange: uniform(0) }),
+    []
+  );
+
+  const colorVariationUniforms = useMemo(
+    () => createColorVariationUniforms(),
+    []
+  );
+  const varied = !!colorVariation;
+
+  useEffect(() => {
+    if (colorVariation) {
+      updateColorVariationUniforms(colorVariationUniforms, colorVariation);
+    }
+  }, [colorVariationUniforms, colorVariation]);
+
+  useEffect(() => {
+    lodUniforms.distance.value = lodDistance ?? 0;
+    lodUniforms.fadeRange.value = lodFadeRange;
+  }, [lodUniforms, lodDistance, lodFadeRange]);
+
+  // Per-instance fade factor of the real mesh level, read from its own
+  // instance offsets
+  const fade = useMemo(() => {
+    if (!lodEnabled) return null;
+
+    return instanceFade(
+      attribute(IMPOSTOR_INSTANCE_ATTRIBUTES.offset, "vec3"),
+      lodUniforms
+    );
+  }, [lodEnabled, lodUniforms]);
+
+  // The impostors read theirs from the GPU-culled visible set when there is one
+  const impostorFade = useMemo(() => {
+    if (!fade || !instanceNodes) return fade;
+    return instanceFade(instanceNodes.offset, lodUniforms);
+  }, [fade, instanceNodes, lodUniforms]);
+
+  const nodeMaterial = useMemo(() => {
+    if (!atlas) return null;
+
+    return createOctahedralImpostorMaterial({
+      atlas,
+      gridSize: atlas.gridSize,
+      octType: atlas.octType,
+      geometryArgs,
+      instanced: true,
+      alphaTest,
+      roughness,
+      metalness,
+      environment: scene.environment,
+      envMapIntensity,
+      fade: impostorFade,
+      instanceNodes,
+      wind,
+      colorVariation: varied ? colorVariationUniforms : null,
+    });
+  }, [
+    atlas,
+    geometryArgs,
+    alphaTest,
+    roughness,
+    metalness,
+    envMapIntensity,
+    scene.environment,
+    impostorFade,
+    instanceNodes,
+    wind,
+    varied,
+    colorVariationUniforms,
+  ]);
+
+  useEffect(() => {
+    return () => {
+      if (nodeMaterial) {
+        nodeMaterial.dispose();
+      }
+    };
+  }, [nodeMaterial]);
+
+  // Chunks within LOD range of the camera, only their instances can need
+  // the real mesh. Updated when the camera moves to a different set.
+  const [lodChunkKeys, setLodChunkKeys] = useState("");
+  const lodChunkKeysRef = useRef("");
+
+  useFrame(({ camera }) => {
+    const group = groupRef.current;
+    if (!fade || !chunked || !group) return;
+
+    camera.getWorldPosition(cameraLocalPosition);
+    group.worldToLocal(cameraLocalPosition);
+    const range = lodDistance + lodFadeRange * 0.5;
+
+    const keys = instanceChunks
+      .filter((chunk) => chunk.box.distanceToPoint(cameraLocalPosition) < range)
+      .map((chunk) => chunk.key)
+      .join("|");
+    if (keys !== lodChunkKeysRef.current) {
+      lodChunkKeysRef.current = keys;
+      setLodChunkKeys(keys);
+    }
+  });
+
+  const lodInstances = useMemo(() => {
+    if (!fade) return [];
+    if (!chunked) return instances;
+
+    const keys = new Set(lodChunkKeys.split("|"));
+    return instanceChunks
+      .filter((chunk) => keys.has(chunk.key))
+      .flatMap((chunk) => chunk.instances);
+  }, [fade, chunked, instances, instanceChunks, lodChunkKeys]);
+
+  // Real mesh level per species, each with its own instances and pivot
+  const lodLevels = useMemo(() => {
+    if (!fade) return [];
+
+    if (!speciesMeshes) {
+      return [
+        {
+          mesh,
+          instances: lodInstances,
+          pivot: atlas?.bounds?.pivot ?? bakePivot,
+        },
+      ];
+    }
+
+    return speciesMeshes.map((speciesMesh, speciesIndex) => ({
+      mesh: speciesMesh,
+      instances: lodInstances.filter(
+        (instance) => (instance.species ?? 0) === speciesIndex
+      ),
+      pivot: atlas?.speciesBounds?.[speciesIndex]?.pivot ?? bakePivot,
+    }));
+  }, [fade, mesh, speciesMeshes, lodInstances, atlas, bakePivot]);
+
+  if (!nodeMaterial) {
+    return null;
+  }
+
+  return (
+    <group ref={groupRef}>
+      {gpuCulled ? (
+        <GpuCulledImpostors
+          geometry={gpuCulled.geometry}
+          culling={gpuCulled.culling}
+          material={nodeMaterial}
+          cullDistance={cullDistance}
+          castShadow={castShadow}
+          receiveShadow={receiveShadow}
+        />
+      ) : (
+        instanceChunks.map((chunk) => (
+          <ImpostorChunk
+            key={chunk.key}
+            atlas={atlas}
+            geometryArgs={geometryArgs}
+            instances={chunk.instances}
+            material={nodeMaterial}
+            cullDistance={cullDistance}
+            castShadow={castShadow}
+            receiveShadow={receiveShadow}
+          />
+        ))
+      )}
+      {lodLevels.map((level, index) =>
+        level.instances.length === 0 ? null : (
+          <LodMeshInstances
+            key={index}
+            mesh={level.mesh}
+            instances={level.instances}
+            fade={fade}
+            lodDistance={lodDistance}
+            lodFadeRange={lodFadeRange}
+            bakePivot={level.pivot}
+            receiveShadow={receiveShadow}
+          />
+        )
+      )}
+    </group>
+  );
+}
+
+/**
+ * One instanced draw of a chunk's instances with the shared impostor
+ * material. Its bounding sphere covers the chunk, so the renderer frustum
+ * culls it as a whole; beyond `cullDistance` it is hidden.
+ */
+function ImpostorChunk({
+  atlas,
+  geometryArgs,
+  instances,
+  material,
+  cullDistance,
+  castShadow,
+  receiveShadow,
+}) {
+  const count = instances.length;
+
+  const geometry = useMemo(
+    () => createInstanceGeometry(atlas, geometryArgs, instances),
+    [atlas, geometryArgs, instances]
+  );
+
+  const instancedMesh = useMemo(() => {
+    if (count === 0) return null;
+
+    const object = new THREE.InstancedMesh(geometry, material, count);
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const scale = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+
+    // Instance matrices are only used for bounds and raycasting, the shader
+    // builds the billboard from the offset/scale attributes.
+    instances.forEach((instance, index) => {
+      position.fromArray(instance.position);
+      scale.fromArray(instance.scale);
+      quaternion.fromArray(instance.rotation ?? IDENTITY_ROTATION);
+      object.setMatrixAt(index, matrix.compose(position, quaternion, scale));
+    });
+    object.instanceMatrix.needsUpdate = true;
+    object.computeBoundingSphere();
+
+    return object;
+  }, [geometry, material, instances, count]);
+
+  useEffect(() => {
+    return () => {
+      geometry.dispose();
+    };
+  }, [geometry]);
+
+  useFrame(({ camera }) => {
+    if (!instancedMesh) return;
+    if (cullDistance === null) {
+      instancedMesh.visible = true;
+      return;
+    }
+
+    camera.getWorldPosition(cameraWorldPosition);
+    chunkSphere
+      .copy(instancedMesh.boundingSphere)
+      .applyMatrix4(instancedMesh.matrixWorld);
+    instancedMesh.visible =
+      chunkSphere.distanceToPoint(cameraWorldPosition) < cullDistance;
+  });
+
+  if (!instancedMesh) {
+    return null;
+  }
+
+  return (
+    <primitive
+      object={instancedMesh}
+      castShadow={castShadow}
+      receiveShadow={receiveShadow}
+    />
+  );
+}
+
+/**
+ * Single indirect draw of the instances the GPU culling pass kept. The pass
+ * runs before every render; the mesh itself is never frustum culled. A plain
+ * mesh is enough, the instance count comes from the indirect arguments and
+ * no instance matrix takes up a vertex buffer.
+ */
+function GpuCulledImpostors({
+  geometry,
+  culling,
+  material,
+  cullDistance,
+  castShadow,
+  receiveShadow,
+}) {
+  const mesh = useMemo(() => {
+    const object = new THREE.Mesh(geometry, material);
+    object.frustumCulled = false;
+    return object;
+  }, [geometry, material]);
+
+  useFrame(({ gl, camera }) => {
+    mesh.updateWorldMatrix(true, false);
+    culling.update(gl, camera, mesh, cullDistance);
+  });
+
+  return (
+    <primitive
+      object={mesh}
+      castShadow={castShadow}
+      receiveShadow={receiveShadow}
+    />
+  );
+}
@@ -0,0 +1,114 @@
+import { useEffect, useMemo, useRef } from "react";
+import * as THREE from "three/webgpu";
+import { uniform } from "three/tsl";
+import { useFrame } from "@react-three/fiber";
+import OctahedralImpostor from "./OctahedralImpostor";
+import {
+  computeModelBounds,
+  getPivotPoint,
+} from "./utils/impostorBakeSetup";
+import { computeLodFade, createDitherFadeMaterial } from "./utils/lodCrossFade";
+
+const cameraWorldPosition = new THREE.Vector3();
+const objectWorldPosition = new THREE.Vector3();
+
+/**
+ * Shows the real mesh close to the camera and its octahedral impostor farther away.
+ * The switch happens at `lodDistance` (world units from the camera to the group
+ * origin). Within `lodFadeRange` around it both levels are dithered in and out
+ * by a shared fade factor. With `lodFadeRange = 0` the levels swap instead and
+ * `lodHysteresis` is the width of the band around the threshold where the
+ * current level is kept, so the camera hovering at the threshold doesn't flicker.
+ * Both levels stay mounted and only their visibility changes, so switching never
+ * rebuilds the impostor material.
+ */
+export default function OctahedralImpostorLOD({
+  mesh,
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  lodDistance = 15,
+  lodFadeRange = 2,
+  lodHysteresis = 2,
+  bakePivot,
+  ...impostorProps
+}) {
+  const groupRef = useRef(null);
+  const meshLevelRef = useRef(null);
+  const impostorLevelRef = useRef(null);
+
+  // 0 shows the mesh, 1 the impostor
+  const fade = useMemo(() => uniform(0), []);
+
+  // The source mesh is also the bake input, render a clone with fading materials
+  const displayMesh = useMemo(() => {
+    if (!mesh) return null;
+
+    const clone = mesh.clone();
+    // Keep the same model point at the origin as the baked impostor
+    clone.position
+      .copy(getPivotPoint(computeModelBounds(mesh), bakePivot))
+      .negate();
+    clone.quaternion.identity();
+    clone.scale.setScalar(1);
+    clone.traverse((node) => {
+      if (node instanceof THREE.Mesh) {
+        node.material = Array.isArray(node.material)
+          ? node.material.map((material) =>
+              createDitherFadeMaterial(material, fade)
+            )
+          : createDitherFadeMaterial(node.material, fade);
+      }
+    });
+    return clone;
+  }, [mesh, fade, bakePivot]);
+
+  useEffect(() => {
+    return () => {
+      displayMesh?.traverse((node) => {
+        if (node instanceof THREE.Mesh) {
+          [node.material].flat().forEach((material) => material.dispose());
+        }
+      });
+    };
+  }, [displayMesh]);
+
+  useFrame(({ camera }) => {
+    const group = groupRef.current;
+    if (!group || !meshLevelRef.current || !impostorLevelRef.current) return;
+
+    camera.getWorldPosition(cameraWorldPosition);
+    group.getWorldPosition(objectWorldPosition);
+    const distance = cameraWorldPosition.distanceTo(objectWorldPosition);
+
+    if (lodFadeRange > 0) {
+      fade.value = computeLodFade(distance, lodDistance, lodFadeRange);
+    } else {
+      const halfBand = lodHysteresis * 0.5;
+      if (fade.value < 1 && distance > lodDistance + halfBand) {
+        fade.value = 1;
+      } else if (fade.value > 0 && distance < lodDistance - halfBand) {
+        fade.value = 0;
+      }
+    }
+
+    meshLevelRef.current.visible = fade.value < 1;
+    impostorLevelRef.current.visible = fade.value > 0;
+  });
+
+  return (
+    <group ref={groupRef} position={position} rotation={rotation} scale={scale}>
+      <group ref={meshLevelRef}>
+        {displayMesh && <primitive object={displayMesh} />}
+      </group>
+      <group ref={impostorLevelRef} visible={false}>
+        <OctahedralImpostor
+          mesh={mesh}
+          fade={fade}
+          bakePivot={bakePivot}
+          {...impostorProps}
+        />
+      </group>
+    </group>
+  );
+}
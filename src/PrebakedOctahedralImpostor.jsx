@@ -0,0 +1,18 @@
+import { useImpostorAsset } from "./hooks/useImpostorAsset";
+import OctahedralImpostor from "./OctahedralImpostor";
+
+/**
+ * Octahedral impostor rendered from a prebaked asset (JSON sidecar + atlas PNGs)
+ * instead of a mesh, so nothing is baked at runtime.
+ * Grid size and octahedron type come from the asset.
+ * `transcoderPath` locates the Basis transcoder for KTX2 atlases.
+ */
+export default function PrebakedOctahedralImpostor({
+  src,
+  transcoderPath,
+  ...props
+}) {
+  const { atlas } = useImpostorAsset(src, { transcoderPath });
+
+  return <OctahedralImpostor {...props} mesh={null} atlas={atlas} />;
+}
@@ -8,14 +8,14 @@ export default function SceneLight() {
       <directionalLight
         castShadow
         intensity={3}
-        position={[0, 4, 8]}
+        position={[0, 20, 40]}
         shadow-mapSize={2048}
-        shadow-camera-near={20}
-        shadow-camera-far={60}
-        shadow-camera-left={-10}
-        shadow-camera-right={10}
-        shadow-camera-top={10}
-        shadow-camera-bottom={-10}
+        shadow-camera-near={1}
+        shadow-camera-far={100}
+        shadow-camera-left={-40}
+        shadow-camera-right={40}
+        shadow-camera-top={40}
+        shadow-camera-bottom={-40}
         shadow-bias={0.0001}
         shadow-normalBias={0.017}
       />
@@ -1,10 +1,12 @@
 import { useMemo } from "react";
-import * as THREE from "three/webgpu";
 import { useGLTF } from "@react-three/drei";
 import OctahedralImpostor from "./OctahedralImpostor";
+import OctahedralImpostorLOD from "./OctahedralImpostorLOD";
+import { collectMeshes } from "./utils/impostorBakeSetup";
 
 /**
  * Component that loads a tree model and creates an octahedral impostor from it.
+ * With `lodDistance`, the real model is shown closer than that distance.
  * Comments in English per project guidelines.
  */
 export default function TreeOctahedralImpostor({
@@ -15,12 +17,13 @@ export default function TreeOctahedralImpostor({
   gridSize = 16,
   atlasSize = 2048,
   octType = 0, // 0 = HEMI, 1 = FULL
-  geometryArgs = [2, 2],
+  geometryArgs = null, // Defaults to the baked frame size
   roughness = 1,
   metalness = 0,
   alphaTest = 0.5,
   envMapIntensity = 1,
-  samplingCacheOverride = null,
+  lodDistance = null,
+  lodHysteresis = 2,
   ...props
 }) {
   // Load the GLTF model
@@ -36,34 +39,39 @@ export default function TreeOctahedralImpostor({
       return externalMeshGroup;
     }
 
-    const group = new THREE.Group();
-    let meshCount = 0;
-
-    scene.traverse((child) => {
-      if (child instanceof THREE.Mesh) {
-        // Clone each mesh and add to group
-        const clonedMesh = child.clone();
-        group.add(clonedMesh);
-        meshCount++;
-        console.log(
-          `TreeOctahedralImpostor: Found mesh ${meshCount}:`,
-          clonedMesh.name || "unnamed"
-        );
-      }
-    });
-
-    if (meshCount === 0) {
+    const group = collectMeshes(scene);
+    if (!group) {
       console.warn(
         `TreeOctahedralImpostor: No meshes found in model ${modelPath}`
       );
       return null;
     }
 
-    console.log(`TreeOctahedralImpostor: Total meshes: ${meshCount}`);
     group.userData.__impostorSourceId = modelPath;
     return group;
   }, [externalMeshGroup, scene, modelPath]);
 
+  if (lodDistance !== null) {
+    return (
+      <OctahedralImpostorLOD
+        mesh={meshGroup}
+        position={position}
+        scale={scale}
+        lodDistance={lodDistance}
+        lodHysteresis={lodHysteresis}
+        geometryArgs={geometryArgs}
+        gridSize={gridSize}
+        atlasSize={atlasSize}
+        octType={octType}
+        roughness={roughness}
+        metalness={metalness}
+        alphaTest={alphaTest}
+        envMapIntensity={envMapIntensity}
+        {...props}
+      />
+    );
+  }
+
   return (
     <OctahedralImpostor
       mesh={meshGroup}
@@ -77,7 +85,6 @@ export default function TreeOctahedralImpostor({
       metalness={metalness}
       alphaTest={alphaTest}
       envMapIntensity={envMapIntensity}
-      samplingCacheOverride={samplingCacheOverride}
       {...props}
     />
   );
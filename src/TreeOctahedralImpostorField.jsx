@@ -1,35 +1,42 @@
 import { useMemo } from "react";
-import * as THREE from "three/webgpu";
 import { useGLTF } from "@react-three/drei";
-import TreeOctahedralImpostor from "./TreeOctahedralImpostor";
-import { getSamplingCache } from "./utils/octahedralImpostorMath";
+import OctahedralImpostorInstances from "./OctahedralImpostorInstances";
+import {
+  useImpostorAsset,
+  useImpostorAssetArray,
+} from "./hooks/useImpostorAsset";
+import { collectMeshes } from "./utils/impostorBakeSetup";
+import { useStreamedChunks } from "./hooks/useStreamedChunks";
+import { scatterInstances } from "./utils/fieldScatter";
 
 const DEFAULT_MODEL_PATH = "/tree.glb";
 
-const hashSeed = (value) => {
-  // Build a deterministic integer hash for pseudo random generation. (English comment)
-  const stringValue =
-    typeof value === "number" ? value.toString() : String(value);
-  let hash = 0;
-  for (let index = 0; index < stringValue.length; index += 1) {
-    hash = (hash << 5) - hash + stringValue.charCodeAt(index);
-    hash |= 0;
-  }
-  return hash >>> 0;
-};
-
-const createSeededRandom = (seedValue) => {
-  // Mulberry32 generator ensures reproducible distributions. (English comment)
-  let seed = hashSeed(seedValue);
-  return () => {
-    seed += 0x6d2b79f5;
-    let t = seed;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-};
-
+/**
+ * Scatters impostor trees over an area in one instanced draw call.
+ * With `species`, a list of `{ modelPath, weight }` (or `{ atlasPath, weight }`
+ * for prebaked assets), every tree picks a species by weight and all species
+ * share one atlas array, still drawn in a single call.
+ * With a `terrain` mesh (raycast in world space) or a `heightAt(x, z)`
+ * function, trees stand on the ground instead of at `position`'s height, with
+ * minHeight/maxHeight as an offset above it. Ground steeper than
+ * minSlope..maxSlope (degrees) or outside minAltitude..maxAltitude is skipped,
+ * and `alignToNormal` tilts each tree with the surface. `randomYaw` turns
+ * every tree by a random angle around its up axis, so identical trees don't
+ * show the same side to the camera. Memoize `heightAt`,
+ * a new function re-scatters the field.
+ * `density` (a grayscale texture over the area or an `(x, z) => [0, 1]`
+ * callback) thins trees out, `exclusions` lists circles `{ center: [x, z],
+ * radius }` and polygons `{ points: [[x, z], ...] }` left empty, and
+ * `minSpacing` places trees on Poisson-disk points at least that far apart.
+ * `chunkSize` splits the field into chunks culled on their own (plus
+ * `cullDistance`). With `streamDistance` as well, the field has no bounds:
+ * chunks within that distance of the camera are scattered with `count`
+ * trees each as the camera moves and freed behind it.
+ * `wind` sways every tree with the global wind (see impostorWind), each with
+ * its own phase drawn from the seed. `colorVariation` jitters the hue,
+ * saturation and brightness of every tree and spreads them over a tint
+ * gradient (see OctahedralImpostorInstances).
+ */
 export default function TreeOctahedralImpostorField({
   count = 150,
   modelPath = DEFAULT_MODEL_PATH,
@@ -45,132 +52,208 @@ export default function TreeOctahedralImpostorField({
   gridSize = 16,
   atlasSize = 2048,
   octType = 0,
-  geometryArgs = [2, 2],
+  geometryArgs = null, // Defaults to the baked frame size
   roughness = 1,
   metalness = 0,
   alphaTest = 0.5,
   envMapIntensity = 1,
+  atlasPath = null,
+  species = null,
+  terrain = null,
+  heightAt = null,
+  minSlope = 0,
+  maxSlope = 90,
+  minAltitude = -Infinity,
+  maxAltitude = Infinity,
+  alignToNormal = false,
+  randomYaw = false,
+  density = null,
+  exclusions = null,
+  minSpacing = 0,
+  chunkSize = null,
+  streamDistance = null,
   ...restProps
 }) {
-  const { scene } = useGLTF(modelPath);
-
-  const sharedMeshGroup = useMemo(() => {
-    const group = new THREE.Group();
-    let meshCount = 0;
-
-    scene.traverse((child) => {
-      if (child instanceof THREE.Mesh) {
-        const cloned = child.clone();
-        group.add(cloned);
-        meshCount += 1;
-      }
-    });
-
-    if (meshCount === 0) {
-      console.warn(
-        `TreeOctahedralImpostorField: No meshes found in model ${modelPath}`
-      );
-      return null;
-    }
+  const scatterOptions = useMemo(
+    () => ({
+      count,
+      position,
+      areaSize,
+      minHeight,
+      maxHeight,
+      minScale,
+      maxScale,
+      baseScale,
+      avoidRadius,
+      seed,
+      species,
+      terrain,
+      heightAt,
+      minSlope,
+      maxSlope,
+      minAltitude,
+      maxAltitude,
+      alignToNormal,
+      randomYaw,
+      density,
+      exclusions,
+      minSpacing,
+    }),
+    [
+      count,
+      areaSize,
+      position,
+      baseScale,
+      minHeight,
+      maxHeight,
+      minScale,
+      maxScale,
+      avoidRadius,
+      seed,
+      species,
+      terrain,
+      heightAt,
+      minSlope,
+      maxSlope,
+      minAltitude,
+      maxAltitude,
+      alignToNormal,
+      randomYaw,
+      density,
+      exclusions,
+      minSpacing,
+    ]
+  );
 
-    if (!group.userData.__impostorSourceId) {
-      group.userData.__impostorSourceId = modelPath;
-    }
+  const streaming = !!chunkSize && streamDistance !== null;
+  const instances = useMemo(
+    () => (streaming ? [] : scatterInstances(scatterOptions)),
+    [streaming, scatterOptions]
+  );
+  const streamedChunks = useStreamedChunks(scatterOptions, {
+    chunkSize,
+    streamDistance,
+    enabled: streaming,
+  });
 
-    return group;
-  }, [scene, modelPath]);
+  // Every species prebaked: load the assets, otherwise bake the models
+  const speciesSources = useMemo(() => {
+    if (!species) return null;
 
-  const instances = useMemo(() => {
-    if (count <= 0) {
-      return [];
-    }
+    return species.every((entry) => entry.atlasPath)
+      ? { atlasPaths: species.map((entry) => entry.atlasPath) }
+      : {
+          modelPaths: species.map(
+            (entry) => entry.modelPath ?? DEFAULT_MODEL_PATH
+          ),
+        };
+  }, [species]);
+
+  if (!streaming && instances.length === 0) {
+    return null;
+  }
+
+  // One instanced draw call for the whole field (or per chunk), sharing a single atlas
+  const instanceProps = {
+    instances,
+    chunkSize,
+    chunks: streamedChunks,
+    gridSize,
+    atlasSize,
+    octType,
+    geometryArgs,
+    roughness,
+    metalness,
+    alphaTest,
+    envMapIntensity,
+    ...restProps,
+  };
+
+  if (speciesSources?.atlasPaths) {
+    return (
+      <PrebakedFieldInstances
+        atlasPath={speciesSources.atlasPaths}
+        {...instanceProps}
+      />
+    );
+  }
 
-    const [width, depth] = areaSize;
-    const [originX, originY, originZ] = position;
-    const [baseScaleX, baseScaleY, baseScaleZ] = baseScale;
-    const random = createSeededRandom(seed);
-
-    const generated = [];
-    let attempts = 0;
-
-    while (generated.length < count && attempts < count * 10) {
-      attempts += 1;
-
-      const offsetX = (random() - 0.5) * width;
-      const offsetZ = (random() - 0.5) * depth;
-
-      const candidateX = originX + offsetX;
-      const candidateZ = originZ + offsetZ;
-
-      if (
-        avoidRadius > 0 &&
-        Math.hypot(candidateX - originX, candidateZ - originZ) < avoidRadius
-      ) {
-        continue;
-      }
-
-      const heightOffset =
-        minHeight === maxHeight
-          ? minHeight
-          : minHeight + random() * (maxHeight - minHeight);
-
-      const uniformScale =
-        minScale === maxScale
-          ? Math.max(0.0001, minScale)
-          : Math.max(0.0001, minScale + random() * (maxScale - minScale));
-
-      generated.push({
-        position: [candidateX, originY + heightOffset, candidateZ],
-        scale: [
-          Math.abs(baseScaleX * uniformScale),
-          Math.abs(baseScaleY * uniformScale),
-          Math.abs(baseScaleZ * uniformScale),
-        ],
-      });
+  if (speciesSources) {
+    return (
+      <ModelFieldInstances
+        modelPath={speciesSources.modelPaths}
+        {...instanceProps}
+      />
+    );
+  }
+
+  if (atlasPath) {
+    return <PrebakedFieldInstances atlasPath={atlasPath} {...instanceProps} />;
+  }
+
+  return <ModelFieldInstances modelPath={modelPath} {...instanceProps} />;
+}
+
+/**
+ * Mesh group of a loaded model, identified by its path for the atlas cache.
+ */
+const createSharedMeshGroup = (scene, modelPath) => {
+  const group = collectMeshes(scene);
+
+  if (!group) {
+    console.warn(
+      `TreeOctahedralImpostorField: No meshes found in model ${modelPath}`
+    );
+    return null;
+  }
+
+  group.userData.__impostorSourceId = modelPath;
+
+  return group;
+};
+
+/**
+ * Field instances baked at runtime from the meshes of a GLTF model, or of
+ * one model per species when `modelPath` is a list.
+ */
+function ModelFieldInstances({ modelPath, ...props }) {
+  const gltf = useGLTF(modelPath);
+
+  const sharedMesh = useMemo(() => {
+    if (!Array.isArray(modelPath)) {
+      return createSharedMeshGroup(gltf.scene, modelPath);
     }
 
-    return generated;
-  }, [
-    count,
-    areaSize,
-    position,
-    baseScale,
-    minHeight,
-    maxHeight,
-    minScale,
-    maxScale,
-    avoidRadius,
-    seed,
-  ]);
-
-  if (!sharedMeshGroup || instances.length === 0) {
+    const groups = gltf.map((speciesGltf, index) =>
+      createSharedMeshGroup(speciesGltf.scene, modelPath[index])
+    );
+    return groups.every(Boolean) ? groups : null;
+  }, [gltf, modelPath]);
+
+  if (!sharedMesh) {
     return null;
   }
 
-  const sharedSamplingCache = useMemo(
-    () => getSamplingCache(octType, gridSize),
-    [octType, gridSize]
+  return <OctahedralImpostorInstances mesh={sharedMesh} {...props} />;
+}
+
+/**
+ * Field instances rendered from a prebaked asset, or from one asset per
+ * species combined into an atlas array; the models are never loaded.
+ */
+function PrebakedFieldInstances({ atlasPath, ...props }) {
+  const speciesPaths = Array.isArray(atlasPath) ? atlasPath : null;
+  const { atlas: singleAtlas } = useImpostorAsset(
+    speciesPaths ? null : atlasPath
   );
+  const { atlas: atlasArray } = useImpostorAssetArray(speciesPaths);
 
-  return instances.map((instance, index) => (
-    <TreeOctahedralImpostor
-      key={`tree-octa-field-${index}`}
-      meshGroup={sharedMeshGroup}
-      modelPath={modelPath}
-      position={instance.position}
-      scale={instance.scale}
-      gridSize={gridSize}
-      atlasSize={atlasSize}
-      octType={octType}
-      geometryArgs={geometryArgs}
-      roughness={roughness}
-      metalness={metalness}
-      alphaTest={alphaTest}
-      envMapIntensity={envMapIntensity}
-      samplingCacheOverride={sharedSamplingCache}
-      {...restProps}
+  return (
+    <OctahedralImpostorInstances
+      atlas={speciesPaths ? atlasArray : singleAtlas}
+      {...props}
     />
-  ));
+  );
 }
 
 useGLTF.preload(DEFAULT_MODEL_PATH);
@@ -0,0 +1,180 @@
+import { useEffect, useState } from "react";
+import { useThree } from "@react-three/fiber";
+import {
+  createImpostorKTX2Loader,
+  DEFAULT_BASIS_TRANSCODER_PATH,
+  loadImpostorAsset,
+} from "../utils/impostorAsset";
+import {
+  createAtlasArray,
+  disposeAtlasTextures,
+} from "../utils/impostorAtlasArray";
+
+/**
+ * Loaded assets shared across impostors, keyed by sidecar URL.
+ */
+const assetPromises = new Map();
+
+/**
+ * Atlas arrays built from several assets, keyed by the list of sidecar URLs.
+ */
+const assetArrayPromises = new Map();
+
+/**
+ * KTX2 loaders (and their transcoder workers) shared per renderer and
+ * transcoder path.
+ */
+const ktx2Loaders = new WeakMap();
+
+function getKTX2Loader(gl, transcoderPath) {
+  if (!ktx2Loaders.has(gl)) {
+    ktx2Loaders.set(gl, new Map());
+  }
+  const loaders = ktx2Loaders.get(gl);
+  if (!loaders.has(transcoderPath)) {
+    loaders.set(transcoderPath, createImpostorKTX2Loader(gl, transcoderPath));
+  }
+  return loaders.get(transcoderPath);
+}
+
+/**
+ * Hook to load a prebaked impostor atlas exported with exportImpostorAsset
+ * or the bake script. Returns the same atlas payload as useOctahedralAtlas,
+ * with no bake at runtime. KTX2 atlases are transcoded with the Basis
+ * transcoder found at `transcoderPath`.
+ */
+export function useImpostorAsset(
+  url,
+  { transcoderPath = DEFAULT_BASIS_TRANSCODER_PATH } = {}
+) {
+  const { gl } = useThree();
+  const [atlas, setAtlas] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!url) {
+      setAtlas(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    if (!assetPromises.has(url)) {
+      // The loader is only created once a KTX2 texture is requested
+      const assetPromise = loadImpostorAsset(url, {
+        ktx2Loader: () => getKTX2Loader(gl, transcoderPath),
+      });
+      // Let a failed load be retried on the next mount
+      assetPromise.catch(() => assetPromises.delete(url));
+      assetPromises.set(url, assetPromise);
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    assetPromises
+      .get(url)
+      .then((loadedAtlas) => {
+        if (cancelled) return;
+        setAtlas(loadedAtlas);
+        setIsLoading(false);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Failed to load impostor asset:", err);
+        setError(err);
+        setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, gl, transcoderPath]);
+
+  return {
+    atlas,
+    error,
+    isLoading,
+  };
+}
+
+/**
+ * Loads several species assets and copies them into one atlas array (see
+ * createAtlasArray), layer i holding `urls[i]`. The assets need the same
+ * layout and PNG atlases; their 2D textures are freed once copied.
+ */
+async function loadImpostorAssetArray(gl, urls, ktx2Loader) {
+  const atlases = await Promise.all(
+    urls.map((url) => loadImpostorAsset(url, { ktx2Loader }))
+  );
+  try {
+    return createAtlasArray(gl, atlases);
+  } finally {
+    atlases.forEach(disposeAtlasTextures);
+  }
+}
+
+/**
+ * Hook to load prebaked species assets into one atlas array for mixed
+ * fields. Same result shape as useImpostorAsset.
+ */
+export function useImpostorAssetArray(
+  urls,
+  { transcoderPath = DEFAULT_BASIS_TRANSCODER_PATH } = {}
+) {
+  const { gl } = useThree();
+  const [atlas, setAtlas] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Inline URL lists change identity every render, compare by content
+  const cacheKey = urls && urls.length > 0 ? JSON.stringify(urls) : null;
+
+  useEffect(() => {
+    if (!cacheKey) {
+      setAtlas(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    if (!assetArrayPromises.has(cacheKey)) {
+      const arrayPromise = loadImpostorAssetArray(
+        gl,
+        JSON.parse(cacheKey),
+        () => getKTX2Loader(gl, transcoderPath)
+      );
+      // Let a failed load be retried on the next mount
+      arrayPromise.catch(() => assetArrayPromises.delete(cacheKey));
+      assetArrayPromises.set(cacheKey, arrayPromise);
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    assetArrayPromises
+      .get(cacheKey)
+      .then((loadedAtlas) => {
+        if (cancelled) return;
+        setAtlas(loadedAtlas);
+        setIsLoading(false);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Failed to load impostor asset array:", err);
+        setError(err);
+        setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cacheKey, gl, transcoderPath]);
+
+  return {
+    atlas,
+    error,
+    isLoading,
+  };
+}
@@ -1,8 +1,33 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import * as THREE from "three/webgpu";
-import * as THREEGL from "three"; // WebGL version for pixel reading
+import {
+  diffuseColor,
+  mrt,
+  normalWorld,
+  output,
+  positionWorld,
+  uniform,
+  vec3,
+  vec4,
+} from "three/tsl";
 import { useThree } from "@react-three/fiber";
-import { buildOctahedralMesh, OCT_TYPE } from "../utils/octahedralHelper";
+import {
+  buildOctahedralMesh,
+  coordsToFlatIndex,
+  getAtlasLayout,
+  OCT_TYPE,
+} from "../utils/octahedralHelper";
+import {
+  BAKE_FIT,
+  BAKE_PIVOT,
+  createBakeCamera,
+  createBakeLights,
+  frameBakeObject,
+  getBakeBounds,
+  getBakeLightingKey,
+  placeBakeCamera,
+} from "../utils/impostorBakeSetup";
+import { dilateAtlas } from "../utils/atlasDilation";
 
 /**
  * Cache storage shared across impostor instances. (English comment)
@@ -10,10 +35,62 @@ import { buildOctahedralMesh, OCT_TYPE } from "../utils/octahedralHelper";
 const atlasCache = new Map();
 const pendingAtlasPromises = new Map();
 
+/**
+ * Per cache key: the highest bake version requested, the hooks to notify
+ * when a new atlas is baked, and the atlas a rebake is replacing.
+ */
+const atlasVersions = new Map();
+const atlasListeners = new Map();
+const replacedAtlases = new Map();
+
+/**
+ * Drops the cached atlas of a key so the next request bakes it again. The
+ * evicted atlas stays in use by its sharers until the new one is published,
+ * and a bake still in flight is discarded when it lands.
+ */
+function evictAtlas(cacheKey) {
+  if (atlasCache.has(cacheKey) && !replacedAtlases.has(cacheKey)) {
+    replacedAtlases.set(cacheKey, atlasCache.get(cacheKey));
+  }
+  atlasCache.delete(cacheKey);
+  pendingAtlasPromises.delete(cacheKey);
+}
+
+/**
+ * Caches a freshly baked atlas and hands it to every hook sharing its key.
+ * The atlas it replaces is freed a couple of frames later, once the sharers
+ * have re-rendered with the new one.
+ */
+function publishAtlas(cacheKey, atlasPayload) {
+  atlasCache.set(cacheKey, atlasPayload);
+  atlasListeners.get(cacheKey)?.forEach((listener) => listener(atlasPayload));
+
+  const replaced = replacedAtlases.get(cacheKey);
+  replacedAtlases.delete(cacheKey);
+  if (replaced && replaced !== atlasPayload) {
+    requestAnimationFrame(() =>
+      requestAnimationFrame(() => replaced.renderTarget?.dispose())
+    );
+  }
+}
+
 /**
  * Builds a cache key for atlas generation. (English comment)
  */
-function buildAtlasCacheKey(mesh, gridSize, atlasSize, octType) {
+export function buildAtlasCacheKey(
+  mesh,
+  gridSize,
+  atlasSize,
+  octType,
+  bakeDepth,
+  bakeNormals,
+  bakeFit,
+  bakePivot,
+  bakeLightingKey,
+  mipLevels,
+  gutter,
+  dilation
+) {
   if (!mesh) {
     return null;
   }
@@ -26,11 +103,26 @@ function buildAtlasCacheKey(mesh, gridSize, atlasSize, octType) {
         : THREE.MathUtils.generateUUID();
   }
 
-  return `${mesh.userData.__impostorSourceId}|g${gridSize}|a${atlasSize}|o${octType}`;
+  return `${mesh.userData.__impostorSourceId}|g${gridSize}|a${atlasSize}|o${octType}|d${bakeDepth ? 1 : 0}|n${bakeNormals ? 1 : 0}|f${bakeFit}|p${bakePivot}|l${bakeLightingKey}|m${mipLevels}|gu${gutter}|di${dilation}`;
 }
 
 /**
  * Hook to generate octahedral impostor atlas dynamically from a mesh.
+ * `bakeLighting` sets the light rig used for every frame:
+ * { lights: [descriptor | THREE.Light], environment: THREE.Texture,
+ *   environmentIntensity: number, unlit: boolean }. Descriptors are
+ * { type: "ambient" | "directional" | "hemisphere", color, intensity, position,
+ * groundColor }, positions are directions from the framed model.
+ * `mipLevels` generates that many mip levels below the full resolution, with
+ * cells aligned so frames don't bleed into each other (see getAtlasLayout).
+ * `gutter` pads every frame with that many pixels inside its cell and
+ * `dilation` bleeds edge colors that far into transparent texels, which
+ * removes dark fringes from filtering and mipmaps.
+ * The atlas is cached per mesh and settings, so a change to the mesh itself
+ * (geometry, materials, morph or skin state) needs a rebake: raise `version`
+ * or call the returned `rebake()`. Either evicts the cached atlas and bakes
+ * it again, and every hook sharing it switches to the new atlas, keeping the
+ * old one until then.
  * Comments in English per project guidelines.
  */
 export function useOctahedralAtlas({
@@ -38,12 +130,22 @@ export function useOctahedralAtlas({
   gridSize = 16,
   atlasSize = 2048,
   octType = OCT_TYPE.HEMI,
+  bakeDepth = false,
+  bakeNormals = false,
+  bakeFit = BAKE_FIT.SPHERE,
+  bakePivot = BAKE_PIVOT.ORIGIN,
+  bakeLighting = null,
+  mipLevels = 0,
+  gutter = 0,
+  dilation = 0,
+  version = 0,
   enabled = true,
 }) {
   const { gl, scene, camera } = useThree();
   const [atlas, setAtlas] = useState(null);
   const [error, setError] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [rebakeCount, setRebakeCount] = useState(0);
 
   const octahedralDataRef = useRef(null);
 
@@ -60,68 +162,125 @@ export function useOctahedralAtlas({
 
   octahedralDataRef.current = octahedralData;
 
+  // Inline lighting objects change identity every render, compare by content
+  const bakeLightingKey = getBakeLightingKey(bakeLighting);
+
+  const cacheKey = useMemo(
+    () =>
+      buildAtlasCacheKey(
+        mesh,
+        gridSize,
+        atlasSize,
+        octType,
+        bakeDepth,
+        bakeNormals,
+        bakeFit,
+        bakePivot,
+        bakeLightingKey,
+        mipLevels,
+        gutter,
+        dilation
+      ),
+    [
+      mesh,
+      gridSize,
+      atlasSize,
+      octType,
+      bakeDepth,
+      bakeNormals,
+      bakeFit,
+      bakePivot,
+      bakeLightingKey,
+      mipLevels,
+      gutter,
+      dilation,
+    ]
+  );
+
+  // Bakes the atlas again, e.g. after the mesh materials changed
+  const rebake = useCallback(() => {
+    if (!cacheKey) return;
+    evictAtlas(cacheKey);
+    setRebakeCount((count) => count + 1);
+  }, [cacheKey]);
+
   // Generate atlas
   useEffect(() => {
-    if (!enabled || !mesh || !octahedralData || !gl) {
+    if (!enabled || !mesh || !octahedralData || !gl || !cacheKey) {
       setAtlas(null);
       return;
     }
 
-    const cacheKey = buildAtlasCacheKey(mesh, gridSize, atlasSize, octType);
+    // Follow every bake of this atlas, including rebakes by other sharers
+    const onAtlas = (bakedAtlas) => {
+      setAtlas(bakedAtlas);
+      setIsGenerating(false);
+      setError(null);
+    };
+    if (!atlasListeners.has(cacheKey)) {
+      atlasListeners.set(cacheKey, new Set());
+    }
+    atlasListeners.get(cacheKey).add(onAtlas);
+    const unsubscribe = () => {
+      atlasListeners.get(cacheKey)?.delete(onAtlas);
+    };
+
+    const bakedVersion = atlasVersions.get(cacheKey) ?? version;
+    if (bakedVersion < version) {
+      evictAtlas(cacheKey);
+    }
+    atlasVersions.set(cacheKey, Math.max(bakedVersion, version));
 
-    if (cacheKey && atlasCache.has(cacheKey)) {
+    if (atlasCache.has(cacheKey)) {
       const cachedAtlas = atlasCache.get(cacheKey);
       setAtlas(cachedAtlas);
       setIsGenerating(false);
       setError(null);
-      return;
+      return unsubscribe;
     }
 
-    if (cacheKey && pendingAtlasPromises.has(cacheKey)) {
+    if (pendingAtlasPromises.has(cacheKey)) {
       setIsGenerating(true);
       setError(null);
       const pendingPromise = pendingAtlasPromises.get(cacheKey);
-      pendingPromise
-        .then((cachedAtlas) => {
-          setAtlas(cachedAtlas);
-          setIsGenerating(false);
-        })
-        .catch((err) => {
-          console.error("Failed to generate atlas:", err);
-          setError(err);
-          setIsGenerating(false);
-        });
-      return;
+      pendingPromise.catch((err) => {
+        console.error("Failed to generate atlas:", err);
+        setError(err);
+        setIsGenerating(false);
+      });
+      return unsubscribe;
     }
 
     setIsGenerating(true);
     setError(null);
 
     try {
-      const atlasPromise = generateAtlas({
+      const atlasPromise = bakeOctahedralAtlas({
         mesh,
         octahedralData,
         gridSize,
         atlasSize,
+        octType,
+        bakeDepth,
+        bakeNormals,
+        bakeFit,
+        bakePivot,
+        bakeLighting,
+        mipLevels,
+        gutter,
+        dilation,
         gl,
         scene,
         camera,
       }).then(
-        (texture) => {
-          const atlasPayload = {
-            texture,
-            gridSize,
-            octType,
-            octahedralData,
-          };
-
-          if (cacheKey) {
-            atlasCache.set(cacheKey, atlasPayload);
+        (atlasPayload) => {
+          // A rebake started meanwhile, this atlas is already stale
+          if (pendingAtlasPromises.get(cacheKey) !== atlasPromise) {
+            atlasPayload.renderTarget.dispose();
+            return atlasPayload;
           }
 
-          setAtlas(atlasPayload);
-          setIsGenerating(false);
-
+          publishAtlas(cacheKey, atlasPayload);
           return atlasPayload;
         },
         (err) => {
@@ -132,12 +291,10 @@ export function useOctahedralAtlas({
         }
       );
 
-      if (cacheKey) {
-        pendingAtlasPromises.set(cacheKey, atlasPromise);
-      }
+      pendingAtlasPromises.set(cacheKey, atlasPromise);
 
       atlasPromise.finally(() => {
-        if (cacheKey) {
+        if (pendingAtlasPromises.get(cacheKey) === atlasPromise) {
           pendingAtlasPromises.delete(cacheKey);
         }
       });
@@ -146,6 +303,8 @@ export function useOctahedralAtlas({
       setError(err);
       setIsGenerating(false);
     }
+
+    return unsubscribe;
   }, [
     mesh,
     octahedralData,
@@ -156,6 +315,17 @@ export function useOctahedralAtlas({
     scene,
     camera,
     octType,
+    bakeDepth,
+    bakeNormals,
+    bakeFit,
+    bakePivot,
+    bakeLightingKey,
+    mipLevels,
+    gutter,
+    dilation,
+    cacheKey,
+    version,
+    rebakeCount,
   ]);
 
   return {
@@ -163,18 +333,87 @@ export function useOctahedralAtlas({
     error,
     isGenerating,
     octahedralData,
+    rebake,
+  };
+}
+
+/**
+ * Bakes the atlas of a mesh into a new atlas payload, without the cache of
+ * useOctahedralAtlas. The caller owns the payload's renderTarget.
+ * Takes the same settings as the hook plus the renderer, scene and camera;
+ * `octahedralData` is built from octType and gridSize when omitted.
+ * @param {Object} params - Generation parameters
+ * @returns {Promise<Object>} Atlas payload
+ */
+export async function bakeOctahedralAtlas({
+  octahedralData = null,
+  gridSize,
+  atlasSize,
+  octType,
+  mipLevels = 0,
+  gutter = 0,
+  ...params
+}) {
+  const frameData = octahedralData ?? buildOctahedralMesh(octType, gridSize);
+  const baked = await generateAtlas({
+    ...params,
+    octahedralData: frameData,
+    gridSize,
+    atlasSize,
+    mipLevels,
+    gutter,
+  });
+
+  return {
+    ...baked,
+    gridSize,
+    octType,
+    atlasSize,
+    octahedralData: frameData,
+    ...getAtlasLayout(gridSize, atlasSize, mipLevels, gutter),
   };
 }
 
+/**
+ * Names of the bake MRT outputs, in render target attachment order.
+ * "depth" is reserved by the renderer for fragment depth, hence the prefix.
+ */
+const BAKE_OUTPUTS = {
+  texture: "output",
+  depthTexture: "impostorDepth",
+  normalTexture: "impostorNormal",
+  albedoTexture: "impostorAlbedo",
+};
+
 /**
  * Generates the octahedral impostor atlas by rendering the mesh from multiple angles.
+ * Every frame is drawn straight into a RenderTarget on the app's WebGPURenderer,
+ * one viewport per cell, so the atlas never leaves the GPU.
+ * With `bakeDepth`, a second attachment stores per-frame depth: 1 is the front of
+ * the bake volume, 0.5 the frame plane through the look-at target and 0 the back.
+ * With `bakeNormals`, object space normals (packed as n * 0.5 + 0.5) and unlit
+ * albedo are baked as well so the impostor can be lit by the scene.
+ * `bakeFit` and `bakePivot` choose how the model is framed (see impostorBakeSetup).
+ * `bakeLighting` lights the color output; when unlit it holds the plain albedo.
+ * Frames are drawn `gutter` pixels inside their cells. With `dilation`, the
+ * atlas is then copied into a new target with edge colors bled outwards
+ * (see atlasDilation) and mipmaps are built on that one.
  * @param {Object} params - Generation parameters
+ * @returns {Promise<Object>} Object with texture, depthTexture, normalTexture and albedoTexture (null when not baked), the owning renderTarget and the bake bounds
  */
 async function generateAtlas({
   mesh,
   octahedralData,
   gridSize,
   atlasSize,
+  bakeDepth = false,
+  bakeNormals = false,
+  bakeFit = BAKE_FIT.SPHERE,
+  bakePivot = BAKE_PIVOT.ORIGIN,
+  bakeLighting = null,
+  mipLevels = 0,
+  gutter = 0,
+  dilation = 0,
   gl,
   scene,
   camera,
@@ -193,245 +432,185 @@ async function generateAtlas({
 
   // Create isolated scene for offscreen rendering
   const renderScene = new THREE.Scene();
-
-  // Add lighting
-  // const ambientLight = new THREE.AmbientLight(0xffffff, 0.1);
-  // renderScene.add(ambientLight);
-
-  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-  directionalLight.position.set(5, 1, 7.5);
-  renderScene.add(directionalLight);
-
+  createBakeLights(bakeLighting ?? {}).forEach((light) =>
+    renderScene.add(light)
+  );
+  if (bakeLighting?.environment && !bakeLighting.unlit) {
+    renderScene.environment = bakeLighting.environment;
+    renderScene.environmentIntensity = bakeLighting.environmentIntensity ?? 1;
+  }
   renderScene.add(renderMesh);
 
-  // Center geometry origin to bounding sphere (like original)
-  renderMesh.traverse((node) => {
-    if (node instanceof THREE.Mesh && node.geometry) {
-      const geometry = node.geometry;
-      geometry.computeBoundingSphere();
-      if (geometry.boundingSphere) {
-        const center = geometry.boundingSphere.center.clone();
-        // Translate geometry so bounding sphere center becomes origin
-        geometry.translate(-center.x, -center.y, -center.z);
-        // Move mesh to compensate
-        node.position.add(center);
-      }
-    }
-  });
-
-  // Compute bounding sphere after centering
-  const boundingSphere = new THREE.Sphere();
-  renderMesh.traverse((node) => {
-    if (node instanceof THREE.Mesh && node.geometry) {
-      node.geometry.computeBoundingSphere();
-      if (node.geometry.boundingSphere) {
-        const tempSphere = node.geometry.boundingSphere.clone();
-        tempSphere.applyMatrix4(node.matrixWorld);
-        boundingSphere.union(tempSphere);
-      }
-    }
+  const framing = frameBakeObject(renderMesh, {
+    fit: bakeFit,
+    pivot: bakePivot,
   });
+  const { orthoSize, lookAtTarget } = framing;
+  const renderCam = createBakeCamera(framing);
 
-  const radius = boundingSphere.radius * 1.5;
-  const scaleFactor = 0.5 / radius; // scale to unit sphere
-  renderMesh.scale.setScalar(scaleFactor);
-
-  // Ensure mesh is at origin
-  renderMesh.position.set(0, 0, 0);
-
-  // Set up orthographic camera
-  const orthoSize = 0.5;
-  const renderCam = new THREE.OrthographicCamera(
-    -orthoSize,
-    orthoSize,
-    orthoSize,
-    -orthoSize,
-    0.001,
-    10
+  // One frame per octahedral grid vertex: (gridSize + 1)² frames
+  const { framesPerSide, cellSize, contentSize } = getAtlasLayout(
+    gridSize,
+    atlasSize,
+    mipLevels,
+    gutter
   );
 
-  // Save original render state
-  const originalRenderTarget = gl.getRenderTarget();
-  const originalClearColor = new THREE.Color();
-  gl.getClearColor(originalClearColor);
-
-  const numCells = gridSize;
-  const cellSize = Math.floor((atlasSize / numCells) * 1.0);
-
   const { pntOct } = octahedralData;
 
-  // Create canvas for building atlas (2D approach for WebGPU compatibility)
-  const canvas = document.createElement("canvas");
-  canvas.width = atlasSize;
-  canvas.height = atlasSize;
-  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  // MRT outputs: lit (or unlit) color always, depth/normal/albedo on demand
+  const bakeDirection = uniform(new THREE.Vector3(0, 1, 0));
+  const outputNodes = {
+    [BAKE_OUTPUTS.texture]: bakeLighting?.unlit
+      ? vec4(diffuseColor.rgb, output.a)
+      : output,
+  };
 
-  if (!ctx) {
-    throw new Error("Failed to create 2D canvas context for atlas generation");
+  if (bakeDepth) {
+    // Height above the frame plane through the target, in bake volume units
+    const height = positionWorld
+      .sub(vec3(lookAtTarget))
+      .dot(bakeDirection)
+      .div(orthoSize * 2)
+      .add(0.5);
+    outputNodes[BAKE_OUTPUTS.depthTexture] = vec4(vec3(height), 1.0);
   }
 
-  // Clear canvas with transparent background
-  ctx.fillStyle = "rgba(0, 0, 0, 0)";
-  ctx.fillRect(0, 0, atlasSize, atlasSize);
-
-  // Create a single reusable WebGL renderer for all cells
-  // This prevents creating too many WebGL contexts
-  const tempCanvas = document.createElement("canvas");
-  tempCanvas.width = cellSize;
-  tempCanvas.height = cellSize;
+  if (bakeNormals) {
+    // Object space normals, already flipped on back faces of double sided foliage
+    outputNodes[BAKE_OUTPUTS.normalTexture] = vec4(
+      normalWorld.mul(0.5).add(0.5),
+      1.0
+    );
+    // Unlit albedo keeps each mesh's color, map and cutout
+    outputNodes[BAKE_OUTPUTS.albedoTexture] = vec4(diffuseColor.rgb, 1.0);
+  }
 
-  const tempGlRenderer = new THREEGL.WebGLRenderer({
-    canvas: tempCanvas,
-    preserveDrawingBuffer: true,
-    antialias: false,
+  const outputNames = Object.keys(outputNodes);
+  const mipmapped = mipLevels > 0;
+  const targetOptions = {
+    type: THREE.UnsignedByteType,
+    format: THREE.RGBAFormat,
+    minFilter: mipmapped ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    wrapS: THREE.ClampToEdgeWrapping,
+    wrapT: THREE.ClampToEdgeWrapping,
+    generateMipmaps: mipmapped,
+  };
+  // Mipmaps are built on the final target, the dilated copy when dilating
+  const bakeMipmaps = mipmapped && dilation === 0;
+  let renderTarget = new THREE.RenderTarget(atlasSize, atlasSize, {
+    ...targetOptions,
+    count: outputNames.length,
+    generateMipmaps: bakeMipmaps,
+    depthBuffer: true,
+  });
+  outputNames.forEach((name, index) => {
+    renderTarget.textures[index].name = name;
   });
 
-  tempGlRenderer.setSize(cellSize, cellSize);
-  tempGlRenderer.setClearColor(0x000000, 0);
-
-  // Create reusable WebGL scene and lighting (created once)
-  const glRenderScene = new THREEGL.Scene();
-  // const glAmbientLight = new THREEGL.AmbientLight(0xffffff, 0.2);
-  // glRenderScene.add(glAmbientLight);
-  const glDirectionalLight = new THREEGL.DirectionalLight(0xffffff, 0.5);
-  glDirectionalLight.position.set(5, 1, 7.5);
-  glRenderScene.add(glDirectionalLight);
-
-  // Create reusable WebGL camera
-  const glRenderCam = new THREEGL.OrthographicCamera(
-    -orthoSize,
-    orthoSize,
-    orthoSize,
-    -orthoSize,
-    0.001,
-    10
-  );
-
-  // Clone mesh once for WebGL rendering
-  const glRenderMesh = renderMesh.clone();
-  glRenderScene.add(glRenderMesh);
-
-  // Render each cell
-  // Following original example exactly: use numCells (gridSize) for flatIdx calculation
-  for (let rowIdx = 0; rowIdx <= numCells; rowIdx++) {
-    for (let colIdx = 0; colIdx <= numCells; colIdx++) {
-      // Original uses: flatIdx = (rowIdx * numCells) + colIdx
-      const flatIdx = rowIdx * numCells + colIdx;
-      if (flatIdx * 3 + 2 >= pntOct.length) continue;
-
-      const px = pntOct[flatIdx * 3];
-      const py = pntOct[flatIdx * 3 + 1];
-      const pz = pntOct[flatIdx * 3 + 2];
-
-      const viewDir = new THREE.Vector3(px, py, pz).normalize();
-
-      // Position camera - EXACTLY AS ORIGINAL
-      // Original: renderCam.position.copy(viewDir.multiplyScalar(1.1));
-      // Original: renderCam.lookAt(centerX, centerY, centerZ); // Always look at bounding sphere center
-      const cameraDistance = 1.1; // Original uses 1.1
-      renderCam.position.copy(viewDir.multiplyScalar(cameraDistance));
-      renderCam.lookAt(0, 0.5, 0); // Look at origin since mesh is centered
+  // Save original render state
+  const originalRenderTarget = gl.getRenderTarget();
+  const originalMRT = gl.getMRT();
+  const originalAutoClear = gl.autoClear;
+  const originalClearColor = new THREE.Color();
+  gl.getClearColor(originalClearColor);
+  const originalClearAlpha = gl.getClearAlpha();
+
+  try {
+    // Clear the whole atlas once, cells never overlap so depth can be shared
+    gl.setRenderTarget(renderTarget);
+    gl.setMRT(mrt(outputNodes));
+    gl.setClearColor(0x000000, 0);
+    gl.clear();
+    gl.autoClear = false;
+    renderTarget.scissorTest = true;
+
+    // Render each cell
+    // The frame at (rowIdx, colIdx) shows grid vertex rowIdx * (gridSize + 1) + colIdx
+    for (let rowIdx = 0; rowIdx < framesPerSide; rowIdx++) {
+      for (let colIdx = 0; colIdx < framesPerSide; colIdx++) {
+        const flatIdx = coordsToFlatIndex(rowIdx, colIdx, framesPerSide);
+        if (flatIdx * 3 + 2 >= pntOct.length) continue;
+
+        const px = pntOct[flatIdx * 3];
+        const py = pntOct[flatIdx * 3 + 1];
+        const pz = pntOct[flatIdx * 3 + 2];
+
+        const viewDir = new THREE.Vector3(px, py, pz).normalize();
+        bakeDirection.value.copy(viewDir);
+
+        placeBakeCamera(renderCam, viewDir, framing);
+
+        // Viewport y is measured from the top, atlas rows grow upwards in UV space
+        const pixelX = colIdx * cellSize + gutter;
+        const pixelY = atlasSize - (rowIdx + 1) * cellSize + gutter;
+        renderTarget.viewport.set(pixelX, pixelY, contentSize, contentSize);
+        renderTarget.scissor.set(pixelX, pixelY, contentSize, contentSize);
+
+        // The mip chain is rebuilt after every render, only do it after the last cell
+        const isLastCell =
+          rowIdx === framesPerSide - 1 && colIdx === framesPerSide - 1;
+        renderTarget.textures.forEach((texture) => {
+          texture.generateMipmaps = bakeMipmaps && isLastCell;
+        });
 
-      // Update WebGL camera to match
-      glRenderCam.position.copy(renderCam.position);
-      glRenderCam.lookAt(0, 0.5, 0); // Look at origin
+        gl.render(renderScene, renderCam);
+      }
+    }
 
-      // Render using the reusable WebGL renderer
-      let imageData = null;
+    renderTarget.scissorTest = false;
+    renderTarget.viewport.set(0, 0, atlasSize, atlasSize);
+    renderTarget.scissor.set(0, 0, atlasSize, atlasSize);
 
+    if (dilation > 0) {
+      const bakeTarget = renderTarget;
       try {
-        tempGlRenderer.clear();
-        tempGlRenderer.render(glRenderScene, glRenderCam);
-
-        // Read pixels directly from WebGL context
-        const glContext = tempGlRenderer.getContext();
-        if (glContext) {
-          const pixels = new Uint8Array(cellSize * cellSize * 4);
-          // Read pixels from the default framebuffer (the canvas)
-          glContext.readPixels(
-            0,
-            0,
-            cellSize,
-            cellSize,
-            glContext.RGBA,
-            glContext.UNSIGNED_BYTE,
-            pixels
-          );
-          imageData = pixels;
-        } else {
-          throw new Error("Unable to get WebGL context from renderer");
-        }
-      } catch (err) {
-        console.warn("Error reading pixels from render target:", err);
-        // Skip this cell if we can't read pixels
-        continue;
+        renderTarget = dilateAtlas(gl, bakeTarget, {
+          cellSize,
+          radius: dilation,
+          targetOptions,
+        });
+      } finally {
+        // Freed even when the dilation pass fails
+        bakeTarget.dispose();
       }
-
-      if (!imageData) continue;
-
-      // Create ImageData and draw to canvas
-      const cellImageData = ctx.createImageData(cellSize, cellSize);
-      cellImageData.data.set(imageData);
-
-      // Calculate position in atlas
-      // Original uses: pixelX = (colIdx / numCells * renderTarget.width)
-      const pixelX = Math.floor((colIdx / numCells) * atlasSize);
-      const pixelY = Math.floor((rowIdx / numCells) * atlasSize);
-
-      // Draw cell to canvas at correct position
-      ctx.putImageData(cellImageData, pixelX, pixelY);
     }
+  } finally {
+    // Restore original state
+    gl.setRenderTarget(originalRenderTarget);
+    gl.setMRT(originalMRT);
+    gl.autoClear = originalAutoClear;
+    gl.setClearColor(originalClearColor, originalClearAlpha);
+
+    // Cleanup
+    renderScene.remove(renderMesh);
   }
 
-  // Cleanup WebGL renderer and resources (only once at the end)
-  tempGlRenderer.dispose();
-  glRenderMesh.geometry?.dispose();
-  glRenderMesh.material?.dispose();
-
-  // Create texture from canvas
-  const atlasTexture = new THREE.CanvasTexture(canvas);
-  atlasTexture.needsUpdate = true;
-  atlasTexture.flipY = false; // Original uses default (false)
-  atlasTexture.minFilter = THREE.LinearFilter;
-  atlasTexture.magFilter = THREE.LinearFilter;
-  atlasTexture.wrapS = THREE.ClampToEdgeWrapping;
-  atlasTexture.wrapT = THREE.ClampToEdgeWrapping;
-
   // Debug: Log atlas info
   console.log("Atlas generated:", {
-    width: canvas.width,
-    height: canvas.height,
+    width: atlasSize,
+    height: atlasSize,
     cellSize,
-    numCells: numCells + 1,
-    totalCells: (numCells + 1) * (numCells + 1),
+    numCells: framesPerSide,
+    totalCells: framesPerSide * framesPerSide,
+    outputs: outputNames,
   });
 
-  // Debug: Check if canvas has content by sampling a pixel
-  const testCtx = canvas.getContext("2d");
-  if (testCtx) {
-    const testImageData = testCtx.getImageData(
-      0,
-      0,
-      Math.min(100, canvas.width),
-      Math.min(100, canvas.height)
-    );
-    const hasContent = testImageData.data.some(
-      (val, idx) => idx % 4 === 3 && val > 0
-    ); // Check alpha channel
-    console.log("Atlas has content:", hasContent);
-    if (!hasContent) {
-      console.warn("Atlas appears to be empty!");
+  const baked = {
+    renderTarget,
+    bounds: getBakeBounds(framing),
+    texture: null,
+    depthTexture: null,
+    normalTexture: null,
+    albedoTexture: null,
+  };
+  Object.entries(BAKE_OUTPUTS).forEach(([key, name]) => {
+    const index = outputNames.indexOf(name);
+    if (index !== -1) {
+      baked[key] = renderTarget.textures[index];
     }
-  }
-
-  // Restore original state
-  gl.setRenderTarget(originalRenderTarget);
-  gl.setClearColor(originalClearColor);
-
-  // Cleanup
-  renderScene.remove(renderMesh);
-  renderMesh.geometry?.dispose();
-  renderMesh.material?.dispose();
+  });
 
-  return atlasTexture;
+  return baked;
 }
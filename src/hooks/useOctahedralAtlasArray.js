@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react";
+import { useThree } from "@react-three/fiber";
+import {
+  bakeOctahedralAtlas,
+  buildAtlasCacheKey,
+} from "./useOctahedralAtlas";
+import { OCT_TYPE } from "../utils/octahedralHelper";
+import {
+  BAKE_FIT,
+  BAKE_PIVOT,
+  getBakeLightingKey,
+} from "../utils/impostorBakeSetup";
+import { createAtlasArray } from "../utils/impostorAtlasArray";
+
+/**
+ * Atlas arrays shared across fields, keyed by the species atlas keys.
+ */
+const arrayPromises = new Map();
+
+/**
+ * Bakes each species in turn and copies it into the array, the per-species
+ * render targets are freed once copied.
+ */
+async function bakeAtlasArray(meshes, settings) {
+  const atlases = [];
+  try {
+    for (const mesh of meshes) {
+      atlases.push(await bakeOctahedralAtlas({ ...settings, mesh }));
+    }
+    return createAtlasArray(settings.gl, atlases);
+  } finally {
+    atlases.forEach((atlas) => atlas.renderTarget.dispose());
+  }
+}
+
+/**
+ * Hook to bake several meshes (species) into one atlas array, see
+ * createAtlasArray. Takes the bake settings of useOctahedralAtlas, shared by
+ * every species, and returns the same shape with the array payload. Species
+ * index i of the instances picks `meshes[i]`.
+ */
+export function useOctahedralAtlasArray({
+  meshes = null,
+  gridSize = 16,
+  atlasSize = 2048,
+  octType = OCT_TYPE.HEMI,
+  bakeDepth = false,
+  bakeNormals = false,
+  bakeFit = BAKE_FIT.SPHERE,
+  bakePivot = BAKE_PIVOT.ORIGIN,
+  bakeLighting = null,
+  mipLevels = 0,
+  gutter = 0,
+  dilation = 0,
+  enabled = true,
+}) {
+  const { gl, scene, camera } = useThree();
+  const [atlas, setAtlas] = useState(null);
+  const [error, setError] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const bakeLightingKey = getBakeLightingKey(bakeLighting);
+
+  useEffect(() => {
+    if (!enabled || !meshes || meshes.length === 0 || !gl) {
+      setAtlas(null);
+      return;
+    }
+
+    let cancelled = false;
+    const cacheKey = meshes
+      .map((mesh) =>
+        buildAtlasCacheKey(
+          mesh,
+          gridSize,
+          atlasSize,
+          octType,
+          bakeDepth,
+          bakeNormals,
+          bakeFit,
+          bakePivot,
+          bakeLightingKey,
+          mipLevels,
+          gutter,
+          dilation
+        )
+      )
+      .join("+");
+
+    if (!arrayPromises.has(cacheKey)) {
+      const arrayPromise = bakeAtlasArray(meshes, {
+        gridSize,
+        atlasSize,
+        octType,
+        bakeDepth,
+        bakeNormals,
+        bakeFit,
+        bakePivot,
+        bakeLighting,
+        mipLevels,
+        gutter,
+        dilation,
+        gl,
+        scene,
+        camera,
+      });
+      // Let a failed bake be retried on the next mount
+      arrayPromise.catch(() => arrayPromises.delete(cacheKey));
+      arrayPromises.set(cacheKey, arrayPromise);
+    }
+
+    setIsGenerating(true);
+    setError(null);
+
+    arrayPromises
+      .get(cacheKey)
+      .then((arrayAtlas) => {
+        if (cancelled) return;
+        setAtlas(arrayAtlas);
+        setIsGenerating(false);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Failed to generate atlas array:", err);
+        setError(err);
+        setIsGenerating(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    meshes,
+    gridSize,
+    atlasSize,
+    enabled,
+    gl,
+    scene,
+    camera,
+    octType,
+    bakeDepth,
+    bakeNormals,
+    bakeFit,
+    bakePivot,
+    bakeLightingKey,
+    mipLevels,
+    gutter,
+    dilation,
+  ]);
+
+  return {
+    atlas,
+    error,
+    isGenerating,
+  };
+}
@@ -0,0 +1,90 @@
+import { useMemo, useRef, useState } from "react";
+import * as THREE from "three/webgpu";
+import { useFrame } from "@react-three/fiber";
+import { scatterInstances } from "../utils/fieldScatter";
+import {
+  createChunk,
+  getChunkCoordsInRange,
+  getChunkKey,
+} from "../utils/instanceChunks";
+
+const cameraPosition = new THREE.Vector3();
+
+/**
+ * Hook streaming field chunks around the camera: every chunk within
+ * `streamDistance` (world units on the XZ plane) is scattered on demand with
+ * `scatterOptions` over its own square, `count` instances per chunk, and
+ * chunks leaving the range are dropped. Each chunk gets its own seed derived
+ * from the field seed and its grid coordinates, so a chunk always comes back
+ * with the same trees.
+ * @param {Object} scatterOptions - Options of scatterInstances for the whole field
+ * @param {Object} params - { chunkSize, streamDistance, enabled }
+ * @returns {Object[]|null} Chunks `{ key, instances, box }`, null when disabled
+ */
+export function useStreamedChunks(
+  scatterOptions,
+  { chunkSize, streamDistance, enabled = true }
+) {
+  const [chunkKeys, setChunkKeys] = useState(null);
+  const chunkKeysRef = useRef(null);
+
+  useFrame(({ camera }) => {
+    if (!enabled) return;
+
+    camera.getWorldPosition(cameraPosition);
+    const keys = getChunkCoordsInRange(
+      cameraPosition.x,
+      cameraPosition.z,
+      chunkSize,
+      streamDistance
+    )
+      .map(([chunkX, chunkZ]) => getChunkKey(chunkX, chunkZ))
+      .join("|");
+
+    if (keys !== chunkKeysRef.current) {
+      chunkKeysRef.current = keys;
+      setChunkKeys(keys);
+    }
+  });
+
+  // Scattered chunks, a new cache whenever the field settings change
+  const chunkCache = useMemo(
+    () => (scatterOptions && chunkSize ? new Map() : null),
+    [scatterOptions, chunkSize]
+  );
+
+  return useMemo(() => {
+    if (!enabled || !chunkCache || chunkKeys === null) return null;
+
+    const { position = [0, 0, 0], areaSize = [60, 60], seed } = scatterOptions;
+    const activeKeys = chunkKeys ? chunkKeys.split("|") : [];
+
+    const chunks = activeKeys.map((key) => {
+      if (!chunkCache.has(key)) {
+        const [chunkX, chunkZ] = key.split(",").map(Number);
+        const instances = scatterInstances({
+          ...scatterOptions,
+          position: [
+            (chunkX + 0.5) * chunkSize,
+            position[1],
+            (chunkZ + 0.5) * chunkSize,
+          ],
+          areaSize: [chunkSize, chunkSize],
+          fieldArea: { center: [position[0], position[2]], size: areaSize },
+          seed: `${seed}:${key}`,
+        });
+        chunkCache.set(key, createChunk(key, instances));
+      }
+      return chunkCache.get(key);
+    });
+
+    // Free the chunks that left the range
+    Array.from(chunkCache.keys()).forEach((key) => {
+      if (!activeKeys.includes(key)) {
+        chunkCache.delete(key);
+      }
+    });
+
+    return chunks;
+  }, [enabled, chunkKeys, chunkCache, scatterOptions, chunkSize]);
+}
@@ -0,0 +1,190 @@
+import * as THREE from "three/webgpu";
+import { float, Fn, If, Loop, mrt, texture, uv, vec2, vec4 } from "three/tsl";
+
+/**
+ * Edge dilation of baked atlases. Transparent texels take the color of the
+ * nearest covered texel of the same cell (within `radius` pixels) and keep
+ * their zero alpha, so linear filtering and mipmaps blend leaf edges with
+ * leaf colors instead of the black background. The nearest texel is found
+ * with a row search followed by a column search over the row results, two
+ * passes of 2 * radius + 1 samples instead of a full square window.
+ */
+
+/**
+ * Atlas UV of the center of a texel.
+ */
+function texelCenterUv(texel, atlasSize) {
+  return texel.add(0.5).div(atlasSize);
+}
+
+/**
+ * First pass: x offset to the nearest covered texel of the same row and cell.
+ * Writes (offset, found) into a float target.
+ */
+function createRowSearchNode(coverage, { atlasSize, cellSize, radius }) {
+  return Fn(() => {
+    const texel = uv().mul(atlasSize).floor();
+    const cellX = texel.x.div(cellSize).floor();
+    const bestOffset = float(0).toVar();
+    const bestDistance = float(radius + 1).toVar();
+
+    Loop({ start: -radius, end: radius, condition: "<=" }, ({ i }) => {
+      const offset = float(i);
+      const sampleTexel = texel.add(vec2(offset, 0.0));
+      const covered = coverage
+        .sample(texelCenterUv(sampleTexel, atlasSize))
+        .a.greaterThan(0.0);
+      const inCell = sampleTexel.x.div(cellSize).floor().equal(cellX);
+
+      If(covered.and(inCell).and(offset.abs().lessThan(bestDistance)), () => {
+        bestDistance.assign(offset.abs());
+        bestOffset.assign(offset);
+      });
+    });
+
+    return vec4(
+      bestOffset,
+      bestDistance.lessThanEqual(radius).select(1.0, 0.0),
+      0.0,
+      1.0
+    );
+  })();
+}
+
+/**
+ * Second pass: combines the row results of the same column into the offset
+ * to the nearest covered texel within the radius. Writes (offset, found).
+ */
+function createColumnSearchNode(rowSearch, { atlasSize, cellSize, radius }) {
+  return Fn(() => {
+    const texel = uv().mul(atlasSize).floor();
+    const cellY = texel.y.div(cellSize).floor();
+    const bestOffset = vec2(0.0).toVar();
+    const bestDistance = float(radius * radius + 1).toVar();
+
+    Loop({ start: -radius, end: radius, condition: "<=" }, ({ i }) => {
+      const offsetY = float(i);
+      const sampleTexel = texel.add(vec2(0.0, offsetY));
+      const row = rowSearch.sample(texelCenterUv(sampleTexel, atlasSize));
+      const distance = row.x.mul(row.x).add(offsetY.mul(offsetY));
+      const inCell = sampleTexel.y.div(cellSize).floor().equal(cellY);
+
+      If(
+        row.y
+          .greaterThan(0.5)
+          .and(inCell)
+          .and(distance.lessThan(bestDistance)),
+        () => {
+          bestDistance.assign(distance);
+          bestOffset.assign(vec2(row.x, offsetY));
+        }
+      );
+    });
+
+    return vec4(
+      bestOffset,
+      bestDistance.lessThanEqual(radius * radius).select(1.0, 0.0),
+      0.0,
+      1.0
+    );
+  })();
+}
+
+/**
+ * Last pass, per atlas texture: covered texels are copied, transparent ones
+ * take the color of their nearest covered texel.
+ */
+function createResolveNode(source, coverage, nearest, atlasSize) {
+  const texel = uv().mul(atlasSize).floor();
+  const own = source.sample(texelCenterUv(texel, atlasSize));
+  const hit = nearest.sample(texelCenterUv(texel, atlasSize));
+  const covered = coverage
+    .sample(texelCenterUv(texel, atlasSize))
+    .a.greaterThan(0.0);
+  const filled = source.sample(texelCenterUv(texel.add(hit.xy), atlasSize));
+
+  return covered.or(hit.z.lessThan(0.5)).select(own, vec4(filled.rgb, own.a));
+}
+
+function createSearchTarget(atlasSize) {
+  return new THREE.RenderTarget(atlasSize, atlasSize, {
+    type: THREE.HalfFloatType,
+    format: THREE.RGBAFormat,
+    minFilter: THREE.NearestFilter,
+    magFilter: THREE.NearestFilter,
+    generateMipmaps: false,
+    depthBuffer: false,
+  });
+}
+
+/**
+ * Dilates every texture of a baked atlas render target into a new one.
+ * The first texture's alpha decides which texels are covered. Render state
+ * (render target, MRT, clear) is left to the caller to restore.
+ * @param {THREE.WebGPURenderer} gl - Renderer that baked the atlas
+ * @param {THREE.RenderTarget} renderTarget - Baked atlas
+ * @param {Object} params - { cellSize, radius, targetOptions } where targetOptions creates the output target
+ * @returns {THREE.RenderTarget} Dilated atlas, textures named like the source
+ */
+export function dilateAtlas(gl, renderTarget, { cellSize, radius, targetOptions }) {
+  const atlasSize = renderTarget.width;
+  const search = { atlasSize, cellSize, radius };
+  const coverage = texture(renderTarget.textures[0]);
+
+  const rowTarget = createSearchTarget(atlasSize);
+  const nearestTarget = createSearchTarget(atlasSize);
+  const dilatedTarget = new THREE.RenderTarget(atlasSize, atlasSize, {
+    ...targetOptions,
+    count: renderTarget.textures.length,
+    depthBuffer: false,
+  });
+  renderTarget.textures.forEach((source, index) => {
+    dilatedTarget.textures[index].name = source.name;
+  });
+
+  const material = new THREE.NodeMaterial();
+  material.blending = THREE.NoBlending;
+  material.depthTest = false;
+  material.depthWrite = false;
+  const quad = new THREE.QuadMesh(material);
+
+  const passes = [
+    [rowTarget, createRowSearchNode(coverage, search)],
+    [
+      nearestTarget,
+      createColumnSearchNode(texture(rowTarget.texture), search),
+    ],
+    [
+      dilatedTarget,
+      mrt(
+        Object.fromEntries(
+          renderTarget.textures.map((source) => [
+            source.name,
+            createResolveNode(
+              texture(source),
+              coverage,
+              texture(nearestTarget.texture),
+              atlasSize
+            ),
+          ])
+        )
+      ),
+    ],
+  ];
+
+  try {
+    gl.setMRT(null);
+    passes.forEach(([target, fragmentNode]) => {
+      material.fragmentNode = fragmentNode;
+      material.needsUpdate = true;
+      gl.setRenderTarget(target);
+      quad.render(gl);
+    });
+  } finally {
+    material.dispose();
+    rowTarget.dispose();
+    nearestTarget.dispose();
+  }
+
+  return dilatedTarget;
+}
@@ -0,0 +1,209 @@
+import {
+  createDensitySampler,
+  isExcluded,
+  poissonDiskSample,
+} from "./scatterDistribution";
+import {
+  createGroundSampler,
+  getSlopeDegrees,
+  getSurfaceRotation,
+  getYawRotation,
+} from "./terrainPlacement";
+
+/**
+ * Deterministic scattering of field instances. The same options and seed
+ * always give the same instances, see TreeOctahedralImpostorField for what
+ * each option does.
+ */
+
+export const hashSeed = (value) => {
+  // Build a deterministic integer hash for pseudo random generation. (English comment)
+  const stringValue =
+    typeof value === "number" ? value.toString() : String(value);
+  let hash = 0;
+  for (let index = 0; index < stringValue.length; index += 1) {
+    hash = (hash << 5) - hash + stringValue.charCodeAt(index);
+    hash |= 0;
+  }
+  return hash >>> 0;
+};
+
+export const createSeededRandom = (seedValue) => {
+  // Mulberry32 generator ensures reproducible distributions. (English comment)
+  let seed = hashSeed(seedValue);
+  return () => {
+    seed += 0x6d2b79f5;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Picks an index of `entries` with probability proportional to its weight.
+ */
+const pickWeightedIndex = (entries, random) => {
+  const weights = entries.map((entry) => Math.max(0, entry.weight ?? 1));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = random() * total;
+
+  for (let index = 0; index < weights.length; index += 1) {
+    remaining -= weights[index];
+    if (remaining < 0) {
+      return index;
+    }
+  }
+  return weights.length - 1;
+};
+
+/**
+ * Scatters up to `count` instances `{ position, scale, phase, variation,
+ * rotation?, species? }` over an `areaSize` rectangle centered on `position`.
+ * `phase` (wind), `variation` (color), the `randomYaw` angle and the
+ * `species` pick are drawn from their own streams of the seed, so they leave
+ * the layout unchanged. `fieldArea` ({ center: [x, z], size }) is the whole
+ * field when scattering one chunk of it: the density map and avoidRadius stay
+ * relative to the field.
+ * @param {Object} options - Scatter options
+ * @returns {Object[]} Instances
+ */
+export function scatterInstances({
+  count,
+  position = [0, 0, 0],
+  areaSize = [60, 60],
+  fieldArea = null,
+  minHeight = 0,
+  maxHeight = 0,
+  minScale = 0.7,
+  maxScale = 1.4,
+  baseScale = [1, 1, 1],
+  avoidRadius = 0,
+  seed = 2024,
+  species = null,
+  terrain = null,
+  heightAt = null,
+  minSlope = 0,
+  maxSlope = 90,
+  minAltitude = -Infinity,
+  maxAltitude = Infinity,
+  alignToNormal = false,
+  randomYaw = false,
+  density = null,
+  exclusions = null,
+  minSpacing = 0,
+}) {
+  if (count <= 0) {
+    return [];
+  }
+
+  const [width, depth] = areaSize;
+  const [originX, originY, originZ] = position;
+  const [baseScaleX, baseScaleY, baseScaleZ] = baseScale;
+  const random = createSeededRandom(seed);
+  const phaseRandom = createSeededRandom(`${seed}:phase`);
+  const colorRandom = createSeededRandom(`${seed}:color`);
+  const yawRandom = createSeededRandom(`${seed}:yaw`);
+  const speciesRandom = createSeededRandom(`${seed}:species`);
+  const sampleGround = createGroundSampler({ terrain, heightAt });
+  const [fieldX, fieldZ] = fieldArea?.center ?? [originX, originZ];
+  const sampleDensity = createDensitySampler(density, {
+    center: [fieldX, fieldZ],
+    size: fieldArea?.size ?? areaSize,
+  });
+  // With a minimum spacing, candidates are shuffled Poisson-disk points
+  const spacedOffsets =
+    minSpacing > 0
+      ? poissonDiskSample({ size: areaSize, minSpacing, random })
+      : null;
+  const maxAttempts = spacedOffsets ? spacedOffsets.length : count * 10;
+
+  const generated = [];
+  let attempts = 0;
+
+  while (generated.length < count && attempts < maxAttempts) {
+    attempts += 1;
+
+    const [offsetX, offsetZ] = spacedOffsets
+      ? spacedOffsets[attempts - 1]
+      : [(random() - 0.5) * width, (random() - 0.5) * depth];
+
+    const candidateX = originX + offsetX;
+    const candidateZ = originZ + offsetZ;
+
+    if (
+      avoidRadius > 0 &&
+      Math.hypot(candidateX - fieldX, candidateZ - fieldZ) < avoidRadius
+    ) {
+      continue;
+    }
+
+    if (exclusions && isExcluded(candidateX, candidateZ, exclusions)) {
+      continue;
+    }
+
+    if (sampleDensity && random() >= sampleDensity(candidateX, candidateZ)) {
+      continue;
+    }
+
+    let groundHeight = originY;
+    let rotation = null;
+
+    if (sampleGround) {
+      const ground = sampleGround(candidateX, candidateZ);
+      if (!ground) {
+        continue;
+      }
+
+      const slope = getSlopeDegrees(ground.normal);
+      if (slope < minSlope || slope > maxSlope) {
+        continue;
+      }
+
+      groundHeight = ground.height;
+      if (alignToNormal) {
+        rotation = getSurfaceRotation(ground.normal);
+      }
+    }
+
+    if (groundHeight < minAltitude || groundHeight > maxAltitude) {
+      continue;
+    }
+
+    const heightOffset =
+      minHeight === maxHeight
+        ? minHeight
+        : minHeight + random() * (maxHeight - minHeight);
+
+    const uniformScale =
+      minScale === maxScale
+        ? Math.max(0.0001, minScale)
+        : Math.max(0.0001, minScale + random() * (maxScale - minScale));
+
+    const instance = {
+      position: [candidateX, groundHeight + heightOffset, candidateZ],
+      scale: [
+        Math.abs(baseScaleX * uniformScale),
+        Math.abs(baseScaleY * uniformScale),
+        Math.abs(baseScaleZ * uniformScale),
+      ],
+      phase: phaseRandom(),
+      variation: [colorRandom(), colorRandom(), colorRandom(), colorRandom()],
+    };
+
+    if (randomYaw) {
+      rotation = getYawRotation(yawRandom() * Math.PI * 2, rotation);
+    }
+    if (rotation) {
+      instance.rotation = rotation;
+    }
+
+    if (species) {
+      instance.species = pickWeightedIndex(species, speciesRandom);
+    }
+
+    generated.push(instance);
+  }
+
+  return generated;
+}
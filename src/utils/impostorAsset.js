@@ -0,0 +1,202 @@
+import * as THREE from "three/webgpu";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { buildOctahedralMesh, getAtlasLayout } from "./octahedralHelper";
+import {
+  createImpostorManifest,
+  validateImpostorManifest,
+} from "./impostorManifest";
+import { deflateInBrowser, encodePng } from "./pngEncoder";
+
+/**
+ * Browser side of prebaked impostor assets: exports runtime-baked atlases
+ * and loads assets back into the atlas payload used by the impostors.
+ */
+
+/**
+ * Basis Universal transcoder shipped with the installed three.js release.
+ */
+export const DEFAULT_BASIS_TRANSCODER_PATH = `https://cdn.jsdelivr.net/npm/three@0.${THREE.REVISION}.0/examples/jsm/libs/basis/`;
+
+/**
+ * Creates the loader for KTX2 (Basis) compressed atlases. The transcoder
+ * picks the best compressed format the renderer supports (BC7, ASTC, ETC2...).
+ * @param {THREE.WebGPURenderer} gl - Renderer the atlases are uploaded to
+ * @param {string} transcoderPath - Folder with basis_transcoder.js/.wasm
+ * @returns {KTX2Loader}
+ */
+export function createImpostorKTX2Loader(
+  gl,
+  transcoderPath = DEFAULT_BASIS_TRANSCODER_PATH
+) {
+  return new KTX2Loader().setTranscoderPath(transcoderPath).detectSupport(gl);
+}
+
+/**
+ * Reads one attachment of the atlas render target back into tightly packed,
+ * top-down RGBA rows.
+ */
+async function readAtlasPixels(gl, renderTarget, textureIndex) {
+  const { width, height } = renderTarget;
+  const data = await gl.readRenderTargetPixelsAsync(
+    renderTarget,
+    0,
+    0,
+    width,
+    height,
+    textureIndex
+  );
+
+  // WebGPU pads rows to 256 bytes, WebGL returns them bottom-up
+  const rowSize = width * 4;
+  const stride = height > 1 ? (data.length - rowSize) / (height - 1) : rowSize;
+  const flipRows = gl.backend.isWebGLBackend === true;
+  const pixels = new Uint8Array(rowSize * height);
+
+  for (let row = 0; row < height; row++) {
+    const sourceRow = flipRows ? height - 1 - row : row;
+    pixels.set(
+      data.subarray(sourceRow * stride, sourceRow * stride + rowSize),
+      row * rowSize
+    );
+  }
+
+  return pixels;
+}
+
+/**
+ * Exports a baked atlas as PNG files plus its JSON sidecar.
+ * Only atlases baked at runtime (with a renderTarget) can be exported.
+ * @param {THREE.WebGPURenderer} gl - Renderer that baked the atlas
+ * @param {Object} atlas - Atlas payload from useOctahedralAtlas
+ * @param {string} name - Base name of the asset files
+ * @returns {Promise<Array<{ name: string, blob: Blob }>>} Files to save side by side
+ */
+export async function exportImpostorAsset(gl, atlas, name = "impostor") {
+  if (!atlas.renderTarget) {
+    throw new Error("Only atlases baked at runtime can be exported");
+  }
+
+  const manifest = createImpostorManifest(atlas, name);
+  const { renderTarget } = atlas;
+  const files = [];
+
+  for (const [key, fileName] of Object.entries(manifest.textures)) {
+    const textureIndex = renderTarget.textures.indexOf(atlas[key]);
+    const pixels = await readAtlasPixels(gl, renderTarget, textureIndex);
+    const png = await encodePng(
+      pixels,
+      renderTarget.width,
+      renderTarget.height,
+      deflateInBrowser
+    );
+    files.push({ name: fileName, blob: new Blob([png], { type: "image/png" }) });
+  }
+
+  files.push({
+    name: `${name}.json`,
+    blob: new Blob([JSON.stringify(manifest, null, 2)], {
+      type: "application/json",
+    }),
+  });
+
+  return files;
+}
+
+/**
+ * Triggers a browser download for each exported file.
+ * @param {Array<{ name: string, blob: Blob }>} files - Result of exportImpostorAsset
+ */
+export function downloadImpostorAsset(files) {
+  files.forEach(({ name, blob }) => {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+}
+
+/**
+ * Texture of a decoded PNG atlas, already flipped like a TextureLoader texture.
+ */
+function createImageTexture(imageBitmap) {
+  const texture = new THREE.Texture(imageBitmap);
+  texture.flipY = false;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Loads a prebaked impostor from its JSON sidecar.
+ * Texture paths are resolved relative to the sidecar URL. PNG atlases get
+ * their mipmaps generated on upload, KTX2 atlases carry them in the file.
+ * `ktx2Loader` may also be a function returning the loader, it is then only
+ * called once a KTX2 texture is requested.
+ * @param {string} url - URL of the JSON sidecar
+ * @param {Object} options - { ktx2Loader } required for KTX2 textures, see createImpostorKTX2Loader
+ * @returns {Promise<Object>} Atlas payload, same shape as useOctahedralAtlas
+ */
+export async function loadImpostorAsset(url, { ktx2Loader = null } = {}) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch impostor asset ${url}: ${response.status}`);
+  }
+
+  const manifest = validateImpostorManifest(await response.json());
+  const baseUrl = new URL(url, window.location.href);
+  // Straight alpha keeps the dilated colors of transparent texels
+  const imageLoader = new THREE.ImageBitmapLoader().setOptions({
+    imageOrientation: "flipY",
+    premultiplyAlpha: "none",
+  });
+  const mipLevels = manifest.mipLevels ?? 0;
+
+  const atlas = {
+    renderTarget: null,
+    texture: null,
+    depthTexture: null,
+    normalTexture: null,
+    albedoTexture: null,
+  };
+
+  await Promise.all(
+    Object.entries(manifest.textures).map(async ([key, fileName]) => {
+      const compressed = fileName.endsWith(".ktx2");
+      const loader =
+        compressed && typeof ktx2Loader === "function"
+          ? ktx2Loader()
+          : ktx2Loader;
+      if (compressed && !loader) {
+        throw new Error(`Impostor asset ${url} needs a KTX2 loader`);
+      }
+
+      const textureUrl = new URL(fileName, baseUrl).href;
+      const texture = compressed
+        ? await loader.loadAsync(textureUrl)
+        : createImageTexture(await imageLoader.loadAsync(textureUrl));
+      // Same sampling as the bake render target, data is stored linear
+      texture.minFilter =
+        mipLevels > 0 ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+      texture.magFilter = THREE.LinearFilter;
+      texture.wrapS = THREE.ClampToEdgeWrapping;
+      texture.wrapT = THREE.ClampToEdgeWrapping;
+      texture.generateMipmaps = !compressed && mipLevels > 0;
+      atlas[key] = texture;
+    })
+  );
+
+  return {
+    ...atlas,
+    gridSize: manifest.gridSize,
+    octType: manifest.octType,
+    atlasSize: manifest.atlasSize,
+    bounds: manifest.bounds ?? null,
+    octahedralData: buildOctahedralMesh(manifest.octType, manifest.gridSize),
+    ...getAtlasLayout(
+      manifest.gridSize,
+      manifest.atlasSize,
+      mipLevels,
+      manifest.gutter ?? 0
+    ),
+  };
+}
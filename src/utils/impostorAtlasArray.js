@@ -0,0 +1,153 @@
+import * as THREE from "three/webgpu";
+
+/**
+ * Texture array atlases for mixed impostor fields: the atlases of several
+ * species are copied into the layers of one DataArrayTexture per map, so a
+ * single material (and a single instanced draw) can render all of them with
+ * a per-instance layer index.
+ */
+
+const ATLAS_TEXTURE_KEYS = [
+  "texture",
+  "depthTexture",
+  "normalTexture",
+  "albedoTexture",
+];
+
+/**
+ * Layout settings every species atlas has to share to live in one array.
+ */
+const SHARED_LAYOUT_KEYS = [
+  "gridSize",
+  "octType",
+  "atlasSize",
+  "cellSize",
+  "gutter",
+  "mipLevels",
+];
+
+function validateSpeciesAtlases(atlases) {
+  if (atlases.length === 0) {
+    throw new Error("An atlas array needs at least one species atlas");
+  }
+
+  const [first] = atlases;
+  atlases.forEach((atlas, index) => {
+    SHARED_LAYOUT_KEYS.forEach((key) => {
+      if ((atlas[key] ?? 0) !== (first[key] ?? 0)) {
+        throw new Error(
+          `Species atlas ${index} has ${key} ${atlas[key]}, expected ${first[key]} like species 0`
+        );
+      }
+    });
+
+    ATLAS_TEXTURE_KEYS.forEach((key) => {
+      if (!atlas[key] !== !first[key]) {
+        throw new Error(
+          `Species atlases must all bake the same maps, species ${index} differs on ${key}`
+        );
+      }
+      if (atlas[key]?.isCompressedTexture) {
+        throw new Error(
+          "Compressed (KTX2) atlases can't be combined into an atlas array, use PNG assets"
+        );
+      }
+    });
+
+    if (!atlas.renderTarget !== !first.renderTarget) {
+      throw new Error(
+        "Runtime-baked and prebaked atlases can't be mixed in one atlas array"
+      );
+    }
+  });
+}
+
+/**
+ * Texture array allocated on the GPU only, its layers are filled by copies.
+ */
+function createArrayTexture(atlasSize, layerCount, mipLevels) {
+  const arrayTexture = new THREE.DataArrayTexture(
+    null,
+    atlasSize,
+    atlasSize,
+    layerCount
+  );
+  arrayTexture.source.dataReady = false;
+  arrayTexture.format = THREE.RGBAFormat;
+  arrayTexture.type = THREE.UnsignedByteType;
+  arrayTexture.minFilter =
+    mipLevels > 0 ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+  arrayTexture.magFilter = THREE.LinearFilter;
+  arrayTexture.wrapS = THREE.ClampToEdgeWrapping;
+  arrayTexture.wrapT = THREE.ClampToEdgeWrapping;
+  arrayTexture.generateMipmaps = mipLevels > 0;
+  arrayTexture.needsUpdate = true;
+  return arrayTexture;
+}
+
+/**
+ * Combines species atlases (from useOctahedralAtlas or loadImpostorAsset)
+ * into one atlas payload backed by texture arrays, layer i holding species i.
+ * All atlases need the same grid, octahedron type, size, cell layout and
+ * baked maps. The source textures are not disposed.
+ * The result has `speciesCount` and `speciesBounds` (the bake bounds of each
+ * species) instead of `bounds`. Layers copied from bake render targets keep
+ * the render target row order, flagged by `sampleAsRenderTarget`.
+ * @param {THREE.WebGPURenderer} gl - Renderer the atlases live on
+ * @param {Object[]} atlases - Atlas payloads, one per species
+ * @returns {Object} Atlas array payload
+ */
+export function createAtlasArray(gl, atlases) {
+  validateSpeciesAtlases(atlases);
+
+  const [first] = atlases;
+  const { atlasSize } = first;
+  const mipLevels = first.mipLevels ?? 0;
+  const layerPosition = new THREE.Vector3();
+
+  const arrayAtlas = {
+    ...first,
+    renderTarget: null,
+    bounds: null,
+    speciesBounds: atlases.map((atlas) => atlas.bounds ?? null),
+    speciesCount: atlases.length,
+    sampleAsRenderTarget: !!first.renderTarget,
+  };
+
+  ATLAS_TEXTURE_KEYS.forEach((key) => {
+    if (!first[key]) return;
+
+    const arrayTexture = createArrayTexture(
+      atlasSize,
+      atlases.length,
+      mipLevels
+    );
+    // Allocate with the full mip chain before the copies
+    gl.initTexture(arrayTexture);
+
+    // Copies into level 0 rebuild the whole mip chain, only do it once
+    atlases.forEach((atlas, layer) => {
+      arrayTexture.generateMipmaps =
+        mipLevels > 0 && layer === atlases.length - 1;
+      gl.copyTextureToTexture(
+        atlas[key],
+        arrayTexture,
+        null,
+        layerPosition.set(0, 0, layer)
+      );
+    });
+    arrayTexture.generateMipmaps = mipLevels > 0;
+
+    arrayAtlas[key] = arrayTexture;
+  });
+
+  return arrayAtlas;
+}
+
+/**
+ * Frees the textures of an atlas payload, plain or array.
+ * @param {Object} atlas - Atlas payload without a renderTarget
+ */
+export function disposeAtlasTextures(atlas) {
+  ATLAS_TEXTURE_KEYS.forEach((key) => atlas[key]?.dispose());
+}
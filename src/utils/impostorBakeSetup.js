@@ -0,0 +1,324 @@
+import * as THREE from "three";
+
+/**
+ * Bake camera, framing and lighting shared by generateAtlas and the
+ * command-line baker (scripts/bake-impostor.js), so both produce the same
+ * frames. Only depends on "three" so it also runs in Node.
+ */
+
+/**
+ * Half size of the orthographic bake view, in bake units.
+ */
+export const BAKE_ORTHO_SIZE = 0.5;
+
+/**
+ * Distance of the bake camera from the origin, in bake units.
+ */
+export const BAKE_CAMERA_DISTANCE = 1.1;
+
+/**
+ * How the model is fitted into the bake view.
+ * SPHERE fits the tightest sphere around the vertices at the bounds center,
+ * BOX fits the sphere through the bounding box corners (no vertex scan,
+ * looser for most models).
+ */
+export const BAKE_FIT = {
+  SPHERE: "sphere",
+  BOX: "box",
+};
+
+/**
+ * Point of the model that stays at the impostor's object origin.
+ * ORIGIN keeps the model's own origin (so the impostor lines up with the
+ * mesh), BASE the bottom center of its bounding box and CENTER the center.
+ */
+export const BAKE_PIVOT = {
+  ORIGIN: "origin",
+  BASE: "base",
+  CENTER: "center",
+};
+
+/**
+ * Collects every mesh of a loaded model into a flat group, as the impostor
+ * components do before baking. Each clone keeps its transform relative to
+ * the model root, so parent rotations and scales are preserved.
+ * @param {THREE.Object3D} scene - Loaded model scene
+ * @returns {THREE.Group|null} Group of mesh clones, null when there are none
+ */
+export function collectMeshes(scene) {
+  const group = new THREE.Group();
+  const rootInverse = new THREE.Matrix4();
+
+  scene.updateMatrixWorld(true);
+  rootInverse.copy(scene.matrixWorld).invert();
+
+  scene.traverse((child) => {
+    if (child instanceof THREE.Mesh) {
+      const cloned = child.clone();
+      cloned.matrix.multiplyMatrices(rootInverse, child.matrixWorld);
+      cloned.matrix.decompose(cloned.position, cloned.quaternion, cloned.scale);
+      group.add(cloned);
+    }
+  });
+
+  return group.children.length > 0 ? group : null;
+}
+
+/**
+ * Bounds of a model in its root space.
+ * @param {THREE.Object3D} object - Model root, its own transform is ignored
+ * @param {string} fit - BAKE_FIT value
+ * @returns {{ box: THREE.Box3, center: THREE.Vector3, radius: number }}
+ */
+export function computeModelBounds(object, fit = BAKE_FIT.SPHERE) {
+  const rootInverse = new THREE.Matrix4();
+  const nodeMatrix = new THREE.Matrix4();
+  const vertex = new THREE.Vector3();
+  const box = new THREE.Box3();
+
+  object.updateMatrixWorld(true);
+  rootInverse.copy(object.matrixWorld).invert();
+
+  const forEachVertex = (callback) => {
+    object.traverse((node) => {
+      const position = node.isMesh && node.geometry?.getAttribute("position");
+      if (!position) return;
+
+      nodeMatrix.multiplyMatrices(rootInverse, node.matrixWorld);
+      for (let index = 0; index < position.count; index++) {
+        callback(vertex.fromBufferAttribute(position, index).applyMatrix4(nodeMatrix));
+      }
+    });
+  };
+
+  forEachVertex((point) => box.expandByPoint(point));
+  if (box.isEmpty()) {
+    throw new Error("Cannot bake a model without vertices");
+  }
+
+  const center = box.getCenter(new THREE.Vector3());
+  let radius = box.getSize(new THREE.Vector3()).length() * 0.5;
+
+  if (fit === BAKE_FIT.SPHERE) {
+    let radiusSq = 0;
+    forEachVertex((point) => {
+      radiusSq = Math.max(radiusSq, point.distanceToSquared(center));
+    });
+    radius = Math.sqrt(radiusSq);
+  }
+
+  return { box, center, radius: Math.max(radius, 1e-6) };
+}
+
+/**
+ * Model space point kept at the impostor's object origin.
+ * @param {{ box: THREE.Box3, center: THREE.Vector3 }} bounds - Result of computeModelBounds
+ * @param {string} pivot - BAKE_PIVOT value
+ * @returns {THREE.Vector3}
+ */
+export function getPivotPoint(bounds, pivot = BAKE_PIVOT.ORIGIN) {
+  const { box, center } = bounds;
+
+  if (pivot === BAKE_PIVOT.CENTER) {
+    return center.clone();
+  }
+  if (pivot === BAKE_PIVOT.BASE) {
+    return new THREE.Vector3(center.x, box.min.y, center.z);
+  }
+  return new THREE.Vector3(0, 0, 0);
+}
+
+/**
+ * Moves the bounds center to the origin and scales the group so the fitted
+ * sphere exactly fills the bake view from every direction. Only the group
+ * transform changes, geometries are left untouched.
+ * @param {THREE.Group} renderMesh - Group to bake, its transform is replaced
+ * @param {Object} options - { fit: BAKE_FIT value, pivot: BAKE_PIVOT value }
+ * @returns {Object} Framing with radius, center, pivotOffset, scaleFactor, orthoSize, lookAtTarget and cameraDistance
+ */
+export function frameBakeObject(
+  renderMesh,
+  { fit = BAKE_FIT.SPHERE, pivot = BAKE_PIVOT.ORIGIN } = {}
+) {
+  renderMesh.position.set(0, 0, 0);
+  renderMesh.quaternion.identity();
+  renderMesh.scale.setScalar(1);
+
+  const bounds = computeModelBounds(renderMesh, fit);
+  const scaleFactor = BAKE_ORTHO_SIZE / bounds.radius;
+
+  renderMesh.scale.setScalar(scaleFactor);
+  renderMesh.position.copy(bounds.center).multiplyScalar(-scaleFactor);
+  renderMesh.updateMatrixWorld(true);
+
+  return {
+    fit,
+    pivot,
+    radius: bounds.radius,
+    center: bounds.center,
+    // Billboard center relative to the impostor's object origin, in model units
+    pivotOffset: bounds.center.clone().sub(getPivotPoint(bounds, pivot)),
+    scaleFactor,
+    orthoSize: BAKE_ORTHO_SIZE,
+    lookAtTarget: new THREE.Vector3(0, 0, 0),
+    cameraDistance: BAKE_CAMERA_DISTANCE,
+  };
+}
+
+/**
+ * Creates the orthographic camera that renders one atlas frame.
+ * @param {Object} framing - Result of frameBakeObject
+ * @returns {THREE.OrthographicCamera}
+ */
+export function createBakeCamera(framing) {
+  const { orthoSize } = framing;
+
+  return new THREE.OrthographicCamera(
+    -orthoSize,
+    orthoSize,
+    orthoSize,
+    -orthoSize,
+    0.001,
+    10
+  );
+}
+
+/**
+ * Places the bake camera along a frame's view direction, looking at the target.
+ * The image axes match lookAtBasis in octahedralImpostorNodes: +Y up, and
+ * +X right for the views straight above and below.
+ * @param {THREE.Camera} camera - Camera from createBakeCamera
+ * @param {THREE.Vector3} viewDir - Unit view direction of the frame
+ * @param {Object} framing - Result of frameBakeObject
+ */
+export function placeBakeCamera(camera, viewDir, framing) {
+  camera.position.copy(viewDir).multiplyScalar(framing.cameraDistance);
+  // At the poles lookAt would tilt the view off the axis to pick a right
+  // vector, an up vector perpendicular to the view gives +X exactly
+  if (Math.hypot(viewDir.x, viewDir.z) < 1e-5) {
+    camera.up.set(0, 0, -Math.sign(viewDir.y));
+  } else {
+    camera.up.set(0, 1, 0);
+  }
+  camera.lookAt(framing.lookAtTarget);
+  camera.updateMatrixWorld();
+}
+
+/**
+ * Light types accepted as plain bake light descriptors.
+ */
+export const BAKE_LIGHT_TYPE = {
+  AMBIENT: "ambient",
+  DIRECTIONAL: "directional",
+  HEMISPHERE: "hemisphere",
+};
+
+/**
+ * Rig used when no bake lights are given.
+ */
+export const DEFAULT_BAKE_LIGHTS = [
+  {
+    type: BAKE_LIGHT_TYPE.DIRECTIONAL,
+    color: 0xffffff,
+    intensity: 0.5,
+    position: [5, 1, 7.5],
+  },
+];
+
+/**
+ * Bake light from a descriptor ({ type, color, intensity, position,
+ * groundColor }) or a copy of an existing light. Directional lights only keep
+ * their world space direction, aimed at the framed model.
+ */
+function createBakeLight(entry) {
+  if (entry.isLight) {
+    entry.updateWorldMatrix(true, false);
+    const light = entry.clone();
+    light.castShadow = false;
+    light.position.setFromMatrixPosition(entry.matrixWorld);
+
+    if (entry.isDirectionalLight) {
+      entry.target.updateWorldMatrix(true, false);
+      light.position.sub(
+        new THREE.Vector3().setFromMatrixPosition(entry.target.matrixWorld)
+      );
+      light.target = new THREE.Object3D();
+    }
+    return light;
+  }
+
+  const { type, color = 0xffffff, intensity = 1, position } = entry;
+  let light;
+
+  if (type === BAKE_LIGHT_TYPE.AMBIENT) {
+    light = new THREE.AmbientLight(color, intensity);
+  } else if (type === BAKE_LIGHT_TYPE.DIRECTIONAL) {
+    light = new THREE.DirectionalLight(color, intensity);
+  } else if (type === BAKE_LIGHT_TYPE.HEMISPHERE) {
+    light = new THREE.HemisphereLight(
+      color,
+      entry.groundColor ?? 0x000000,
+      intensity
+    );
+  } else {
+    throw new Error(`Unknown bake light type ${type}`);
+  }
+
+  if (position) {
+    light.position.fromArray(position);
+  }
+  return light;
+}
+
+/**
+ * Lights used for every bake frame.
+ * `lighting.lights` holds descriptors or scene lights (DEFAULT_BAKE_LIGHTS when
+ * omitted), `lighting.unlit` bakes plain albedo without any light.
+ * @param {Object} lighting - Bake lighting options, see useOctahedralAtlas
+ * @returns {THREE.Light[]}
+ */
+export function createBakeLights(lighting = {}) {
+  if (lighting?.unlit) {
+    return [];
+  }
+
+  return (lighting?.lights ?? DEFAULT_BAKE_LIGHTS).map(createBakeLight);
+}
+
+/**
+ * Stable cache key of the bake lighting options. Lights and textures are
+ * identified by their uuid, so moving a scene light does not rebake.
+ * @param {Object|null} lighting - Bake lighting options
+ * @returns {string}
+ */
+export function getBakeLightingKey(lighting) {
+  if (!lighting) {
+    return "default";
+  }
+
+  return JSON.stringify(lighting, (key, value) =>
+    key !== "" && value?.uuid ? value.uuid : value
+  );
+}
+
+/**
+ * Bake framing in model units, stored with exported assets.
+ * The billboard is `frameSize` wide and centered `pivotOffset` away from the
+ * impostor's object origin; `center` is the bounds center in model space.
+ * @param {Object} framing - Result of frameBakeObject
+ * @returns {Object} JSON friendly bounds
+ */
+export function getBakeBounds(framing) {
+  const { fit, pivot, radius, center, pivotOffset, scaleFactor, orthoSize } =
+    framing;
+
+  return {
+    fit,
+    pivot,
+    radius,
+    scaleFactor,
+    center: center.toArray(),
+    pivotOffset: pivotOffset.toArray(),
+    frameSize: (orthoSize * 2) / scaleFactor,
+  };
+}
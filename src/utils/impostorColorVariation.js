@@ -0,0 +1,84 @@
+import * as THREE from "three/webgpu";
+import { hue, mix, saturation, uniform } from "three/tsl";
+
+/**
+ * Per-instance color variation for impostor fields. Each instance carries
+ * four random values in [0, 1) (`variation`, drawn from the field seed): the
+ * first three jitter its hue, saturation and brightness, the last places it
+ * on a tint gradient. How far they reach is set by uniforms, so tuning the
+ * variation never re-scatters the field.
+ */
+
+/**
+ * Uniforms of a color variation, see applyColorVariation.
+ * @returns {Object} { hue, saturation, brightness, tintFrom, tintTo, tintStrength }
+ */
+export function createColorVariationUniforms() {
+  return {
+    hue: uniform(0),
+    saturation: uniform(0),
+    brightness: uniform(0),
+    tintFrom: uniform(new THREE.Color(1, 1, 1)),
+    tintTo: uniform(new THREE.Color(1, 1, 1)),
+    tintStrength: uniform(0),
+  };
+}
+
+/**
+ * Copies color variation settings into their uniforms. `hue` is the jitter
+ * as a fraction of the color wheel, `saturation` and `brightness` as
+ * fractions of the atlas value, `tint` the two colors of the gradient and
+ * `tintStrength` how much of it is applied.
+ * @param {Object} uniforms - Result of createColorVariationUniforms
+ * @param {Object} settings - { hue, saturation, brightness, tint: [from, to], tintStrength }
+ */
+export function updateColorVariationUniforms(
+  uniforms,
+  {
+    hue: hueJitter = 0,
+    saturation: saturationJitter = 0,
+    brightness: brightnessJitter = 0,
+    tint = null,
+    tintStrength = 1,
+  }
+) {
+  uniforms.hue.value = hueJitter;
+  uniforms.saturation.value = saturationJitter;
+  uniforms.brightness.value = brightnessJitter;
+  uniforms.tintFrom.value.set(tint?.[0] ?? 0xffffff);
+  uniforms.tintTo.value.set(tint?.[1] ?? tint?.[0] ?? 0xffffff);
+  uniforms.tintStrength.value = tint ? tintStrength : 0;
+}
+
+/**
+ * Applies the variation of one instance to an atlas color.
+ * @param {Node<vec3>} color - Atlas color
+ * @param {Node<vec4>} variation - Random values of the instance
+ * @param {Object} uniforms - Result of createColorVariationUniforms
+ * @returns {Node<vec3>}
+ */
+export function applyColorVariation(color, variation, uniforms) {
+  const jitter = variation.xyz.mul(2.0).sub(1.0);
+
+  const shifted = hue(color, jitter.x.mul(uniforms.hue).mul(Math.PI * 2));
+  const saturated = saturation(
+    shifted,
+    jitter.y.mul(uniforms.saturation).add(1.0)
+  );
+  const varied = saturated.mul(jitter.z.mul(uniforms.brightness).add(1.0));
+
+  const tint = mix(uniforms.tintFrom, uniforms.tintTo, variation.w);
+  return mix(varied, varied.mul(tint), uniforms.tintStrength);
+}
+
+/**
+ * Linear RGB of a per-instance `color`: [r, g, b] or anything THREE.Color
+ * accepts. White when omitted.
+ * @param {number[]|THREE.ColorRepresentation|undefined} value - Instance color
+ * @param {THREE.Color} target - Color to write to
+ * @returns {THREE.Color} target
+ */
+export function readInstanceColor(value, target) {
+  if (value === undefined || value === null) return target.setRGB(1, 1, 1);
+  return Array.isArray(value) ? target.fromArray(value) : target.set(value);
+}
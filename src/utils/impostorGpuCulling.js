@@ -0,0 +1,195 @@
+import * as THREE from "three/webgpu";
+import { readInstanceColor } from "./impostorColorVariation";
+import {
+  atomicAdd,
+  atomicStore,
+  Fn,
+  If,
+  instanceIndex,
+  instancedArray,
+  max,
+  Return,
+  storage,
+  uint,
+  uniform,
+  vec4,
+} from "three/tsl";
+
+/**
+ * GPU culling for instanced impostors: a compute pass tests every instance
+ * against the camera frustum and a cull distance, and packs the visible ones
+ * at the front of a second set of instance buffers. The number it packed is
+ * written straight into the instance count of an indirect draw, so the CPU
+ * never reads anything back.
+ */
+
+const IDENTITY_ROTATION = [0, 0, 0, 1];
+const DEFAULT_VARIATION = [0.5, 0.5, 0.5, 0.5];
+
+// drawIndexedIndirect arguments: indexCount, instanceCount, firstIndex,
+// baseVertex, firstInstance
+const DRAW_ARGS_LENGTH = 5;
+const INSTANCE_COUNT_ARG = 1;
+
+const frustum = new THREE.Frustum();
+const projectionScreenMatrix = new THREE.Matrix4();
+
+/**
+ * Packs instances into vec4 arrays: offset with the species in w, scale
+ * with the wind phase in w, rotation, color variation and color.
+ */
+function packInstances(instances) {
+  const offsets = new Float32Array(instances.length * 4);
+  const scales = new Float32Array(instances.length * 4);
+  const rotations = new Float32Array(instances.length * 4);
+  const variations = new Float32Array(instances.length * 4);
+  const colors = new Float32Array(instances.length * 4);
+  const color = new THREE.Color();
+
+  instances.forEach((instance, index) => {
+    offsets.set(instance.position, index * 4);
+    offsets[index * 4 + 3] = instance.species ?? 0;
+    scales.set(instance.scale, index * 4);
+    scales[index * 4 + 3] = instance.phase ?? 0;
+    rotations.set(instance.rotation ?? IDENTITY_ROTATION, index * 4);
+    variations.set(instance.variation ?? DEFAULT_VARIATION, index * 4);
+    readInstanceColor(instance.color, color).toArray(colors, index * 4);
+  });
+
+  return { offsets, scales, rotations, variations, colors };
+}
+
+/**
+ * Creates the culling buffers and compute passes for a set of instances
+ * drawn with `geometry`, the billboard geometry the indirect draw is attached
+ * to. Its bounding sphere, scaled per instance, is what gets culled.
+ * `instanceNodes` are the per-instance values of the visible set, for the
+ * material's instanceNodes option; call `update` once per frame before
+ * rendering and `dispose` when done.
+ * @param {Object[]} instances - Instances, see OctahedralImpostorInstances
+ * @param {THREE.BufferGeometry} geometry - Indexed billboard geometry
+ * @returns {Object} { instanceNodes, update, dispose }
+ */
+export function createImpostorGpuCulling(instances, geometry) {
+  const count = instances.length;
+  const packed = packInstances(instances);
+
+  // One buffer per packed array for all instances, one for the visible set
+  const sources = {};
+  const visibles = {};
+  Object.entries(packed).forEach(([key, data]) => {
+    sources[key] = instancedArray(data, "vec4");
+    visibles[key] = instancedArray(count, "vec4");
+  });
+
+  const drawArgs = new THREE.IndirectStorageBufferAttribute(
+    DRAW_ARGS_LENGTH,
+    1
+  );
+  drawArgs.array[0] = geometry.index.count;
+  geometry.setIndirect(drawArgs);
+  const drawArgsNode = storage(drawArgs, "uint", DRAW_ARGS_LENGTH).toAtomic();
+
+  // The billboard sphere is placed around the instance origin, so it holds
+  // in any instance rotation
+  const { boundingSphere } = geometry;
+  const instanceRadius = boundingSphere.center.length() + boundingSphere.radius;
+
+  const frustumPlanes = Array.from({ length: 6 }, () =>
+    uniform(new THREE.Vector4())
+  );
+  const objectMatrix = uniform(new THREE.Matrix4());
+  const objectMaxScale = uniform(1);
+  const cameraWorldPosition = uniform(new THREE.Vector3());
+  const cullDistance = uniform(Infinity);
+
+  const resetCompute = Fn(() => {
+    atomicStore(drawArgsNode.element(INSTANCE_COUNT_ARG), uint(0));
+  })().compute(1);
+
+  const cullCompute = Fn(() => {
+    If(instanceIndex.greaterThanEqual(uint(count)), () => {
+      Return();
+    });
+
+    const offset = sources.offsets.element(instanceIndex);
+    const scale = sources.scales.element(instanceIndex);
+    const center = objectMatrix.mul(vec4(offset.xyz, 1.0)).xyz;
+    const radius = max(scale.x, max(scale.y, scale.z))
+      .mul(instanceRadius)
+      .mul(objectMaxScale);
+
+    let visible = center
+      .distance(cameraWorldPosition)
+      .sub(radius)
+      .lessThan(cullDistance);
+    frustumPlanes.forEach((plane) => {
+      visible = visible.and(
+        plane.xyz.dot(center).add(plane.w).greaterThanEqual(radius.negate())
+      );
+    });
+
+    If(visible, () => {
+      const slot = atomicAdd(drawArgsNode.element(INSTANCE_COUNT_ARG), uint(1));
+      Object.keys(sources).forEach((key) => {
+        visibles[key]
+          .element(slot)
+          .assign(sources[key].element(instanceIndex));
+      });
+    });
+  })().compute(count);
+
+  const visibleOffset = visibles.offsets.toAttribute();
+  const visibleScale = visibles.scales.toAttribute();
+
+  return {
+    instanceNodes: {
+      offset: visibleOffset.xyz,
+      scale: visibleScale.xyz,
+      rotation: visibles.rotations.toAttribute(),
+      species: visibleOffset.w,
+      phase: visibleScale.w,
+      variation: visibles.variations.toAttribute(),
+      color: visibles.colors.toAttribute().xyz,
+    },
+
+    /**
+     * Culls against the camera and refills the visible set.
+     * @param {THREE.WebGPURenderer} gl - Renderer
+     * @param {THREE.Camera} camera - Camera the instances are culled for
+     * @param {THREE.Object3D} object - Mesh drawing the instances
+     * @param {number|null} distance - Cull distance, null for none
+     */
+    update(gl, camera, object, distance) {
+      projectionScreenMatrix.multiplyMatrices(
+        camera.projectionMatrix,
+        camera.matrixWorldInverse
+      );
+      frustum.setFromProjectionMatrix(
+        projectionScreenMatrix,
+        camera.coordinateSystem,
+        camera.reversedDepth
+      );
+      frustum.planes.forEach((plane, index) => {
+        frustumPlanes[index].value.set(
+          plane.normal.x,
+          plane.normal.y,
+          plane.normal.z,
+          plane.constant
+        );
+      });
+
+      objectMatrix.value.copy(object.matrixWorld);
+      objectMaxScale.value = object.matrixWorld.getMaxScaleOnAxis();
+      camera.getWorldPosition(cameraWorldPosition.value);
+      cullDistance.value = distance ?? Infinity;
+
+      gl.compute([resetCompute, cullCompute]);
+    },
+
+    dispose() {
+      resetCompute.dispose();
+      cullCompute.dispose();
+    },
+  };
+}
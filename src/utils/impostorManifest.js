@@ -0,0 +1,86 @@
+/**
+ * Prebaked impostor assets: one image (PNG or KTX2) per baked atlas texture plus a JSON
+ * sidecar describing the octahedral layout and the bake framing, so an
+ * impostor can be rendered without baking at runtime.
+ * Dependency free so the command-line baker can write the same sidecar.
+ */
+export const IMPOSTOR_ASSET_FORMAT = "octahedral-impostor";
+export const IMPOSTOR_ASSET_VERSION = 1;
+
+/**
+ * File name suffix of each atlas texture, keyed like the atlas payload.
+ */
+export const IMPOSTOR_ASSET_TEXTURES = {
+  texture: "color",
+  depthTexture: "depth",
+  normalTexture: "normal",
+  albedoTexture: "albedo",
+};
+
+/**
+ * File name of one atlas texture of an asset.
+ * @param {string} name - Base name of the asset files
+ * @param {string} key - Atlas payload key, see IMPOSTOR_ASSET_TEXTURES
+ * @param {string} extension - "png" or "ktx2"
+ * @returns {string}
+ */
+export function getImpostorTextureFileName(name, key, extension = "png") {
+  return `${name}.${IMPOSTOR_ASSET_TEXTURES[key]}.${extension}`;
+}
+
+/**
+ * Builds the JSON sidecar of a baked atlas.
+ * Texture entries are file names relative to the sidecar. `mipLevels` is the
+ * number of mip levels the impostor samples below full resolution, the cell
+ * layout is aligned for them (see getAtlasLayout). `gutter` is the padding
+ * in pixels around each frame inside its cell.
+ * @param {Object} atlas - Atlas payload from useOctahedralAtlas
+ * @param {string} name - Base name of the asset files
+ * @param {string} extension - Texture file extension, "png" or "ktx2"
+ * @returns {Object} Manifest object, ready for JSON.stringify
+ */
+export function createImpostorManifest(atlas, name, extension = "png") {
+  const textures = {};
+  Object.keys(IMPOSTOR_ASSET_TEXTURES).forEach((key) => {
+    if (atlas[key]) {
+      textures[key] = getImpostorTextureFileName(name, key, extension);
+    }
+  });
+
+  return {
+    format: IMPOSTOR_ASSET_FORMAT,
+    version: IMPOSTOR_ASSET_VERSION,
+    gridSize: atlas.gridSize,
+    octType: atlas.octType,
+    atlasSize: atlas.atlasSize,
+    framesPerSide: atlas.framesPerSide,
+    cellSize: atlas.cellSize,
+    mipLevels: atlas.mipLevels ?? 0,
+    gutter: atlas.gutter ?? 0,
+    bounds: atlas.bounds,
+    textures,
+  };
+}
+
+/**
+ * Checks a parsed manifest and throws on anything this version can't render.
+ * @param {Object} manifest - Parsed JSON sidecar
+ * @returns {Object} The same manifest
+ */
+export function validateImpostorManifest(manifest) {
+  if (!manifest || manifest.format !== IMPOSTOR_ASSET_FORMAT) {
+    throw new Error("Not an octahedral impostor asset");
+  }
+
+  if (manifest.version > IMPOSTOR_ASSET_VERSION) {
+    throw new Error(
+      `Unsupported impostor asset version ${manifest.version} (max ${IMPOSTOR_ASSET_VERSION})`
+    );
+  }
+
+  if (!manifest.textures || !manifest.textures.texture) {
+    throw new Error("Impostor asset has no color atlas");
+  }
+
+  return manifest;
+}
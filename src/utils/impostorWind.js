@@ -0,0 +1,100 @@
+import * as THREE from "three/webgpu";
+import {
+  float,
+  modelWorldMatrix,
+  modelWorldMatrixInverse,
+  sin,
+  time,
+  uniform,
+  vec2,
+  vec4,
+} from "three/tsl";
+
+/**
+ * Wind for impostor materials built with `wind`. The settings are global
+ * uniforms shared by every material, so a whole forest follows one call to
+ * setImpostorWind without per-object CPU work. Trees lean and sway along the
+ * wind direction as a wave travelling across the world, scaled by slow gusts,
+ * and each instance offsets the wave by its own phase.
+ */
+
+export const impostorWind = {
+  strength: uniform(0.3),
+  frequency: uniform(1),
+  direction: uniform(new THREE.Vector2(1, 0)),
+  gust: uniform(0.5),
+};
+
+// World units per radian of the wave travelling across the forest
+const WAVE_LENGTH = 8;
+
+/**
+ * Updates the global wind. Omitted settings keep their current value.
+ * @param {Object} params - { strength, frequency, direction: [x, z], gust }
+ */
+export function setImpostorWind({ strength, frequency, direction, gust }) {
+  if (strength !== undefined) impostorWind.strength.value = strength;
+  if (frequency !== undefined) impostorWind.frequency.value = frequency;
+  if (gust !== undefined) impostorWind.gust.value = gust;
+  if (direction !== undefined) {
+    impostorWind.direction.value.fromArray(direction).normalize();
+  }
+}
+
+/**
+ * Wind sway of an impostor centered at `originLocal` (mesh local space):
+ * the lean of its top along the wind, in units of its height, and a faster
+ * flutter for the leaves. `phase` is in [0, 1).
+ * @param {Node<vec3>} originLocal - Impostor origin in mesh local space
+ * @param {Node<float>} phase - Per-instance phase
+ * @returns {Object} { directionLocal, lean, flutter }
+ */
+export function windSway(originLocal, phase) {
+  const { strength, frequency, direction, gust } = impostorWind;
+
+  const originWorld = modelWorldMatrix.mul(vec4(originLocal, 1.0)).xyz;
+  const travel = originWorld.xz.dot(direction).div(WAVE_LENGTH);
+  const clock = time.mul(frequency);
+  const offset = phase.mul(Math.PI * 2);
+
+  // Gusts roll across the forest slower than the sway
+  const gusts = float(1).add(
+    gust.mul(sin(clock.mul(0.31).sub(travel.mul(0.5))).mul(0.5).add(0.5))
+  );
+  const wave = sin(clock.sub(travel).add(offset));
+  const lean = strength.mul(gusts).mul(wave.mul(0.4).add(0.6));
+  const flutter = strength
+    .mul(gusts)
+    .mul(sin(clock.mul(3.7).add(offset.mul(3.0))));
+
+  const directionLocal = modelWorldMatrixInverse
+    .mul(vec4(direction.x, 0.0, direction.y, 0.0))
+    .xyz.normalize();
+
+  return { directionLocal, lean, flutter };
+}
+
+/**
+ * Quad vertex offset for a sway: none at the base, growing with the square
+ * of the height so the trunk stays planted.
+ * @param {Object} sway - Result of windSway
+ * @param {Node<float>} height - Vertex height above the impostor origin
+ * @param {Node<float>} treeHeight - Height of the impostor
+ * @returns {Node<vec3>} Offset in mesh local space
+ */
+export function windVertexOffset(sway, height, treeHeight) {
+  const weight = height.div(treeHeight).clamp(0.0, 1.0).pow(2.0);
+  return sway.directionLocal.mul(sway.lean.mul(weight).mul(treeHeight));
+}
+
+/**
+ * Billboard UV shifted sideways by the leaf flutter, more towards the top of
+ * the frame, where the crown is.
+ * @param {Object} sway - Result of windSway
+ * @param {Node<vec2>} billboardUv - Billboard UV
+ * @returns {Node<vec2>}
+ */
+export function windFlutterUv(sway, billboardUv) {
+  const weight = billboardUv.y.clamp(0.0, 1.0).pow(2.0);
+  return billboardUv.add(vec2(sway.flutter.mul(weight).mul(0.01), 0.0));
+}
@@ -0,0 +1,100 @@
+import * as THREE from "three/webgpu";
+
+/**
+ * Square grid chunks over the XZ plane for large instance fields. Each chunk
+ * is drawn as its own instanced mesh, so it can be frustum culled, distance
+ * culled or streamed in and out on its own.
+ */
+
+/**
+ * Grid coordinates of the chunk containing a point.
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} chunkSize - Chunk edge length
+ * @returns {number[]} [chunkX, chunkZ]
+ */
+export function getChunkCoords(x, z, chunkSize) {
+  return [Math.floor(x / chunkSize), Math.floor(z / chunkSize)];
+}
+
+/**
+ * Map key of a chunk from its grid coordinates.
+ */
+export function getChunkKey(chunkX, chunkZ) {
+  return `${chunkX},${chunkZ}`;
+}
+
+/**
+ * A chunk `{ key, instances, box }`, where box bounds the instance positions.
+ * @param {string} key - Chunk key
+ * @param {Object[]} instances - Instances of the chunk
+ * @returns {Object}
+ */
+export function createChunk(key, instances) {
+  const box = new THREE.Box3();
+  const point = new THREE.Vector3();
+  instances.forEach((instance) => {
+    box.expandByPoint(point.fromArray(instance.position));
+  });
+
+  return { key, instances, box };
+}
+
+/**
+ * Splits instances into the chunks their positions fall in.
+ * @param {Object[]} instances - Instances with a position
+ * @param {number} chunkSize - Chunk edge length
+ * @returns {Object[]} Chunks, see createChunk
+ */
+export function partitionInstances(instances, chunkSize) {
+  const chunkInstances = new Map();
+
+  instances.forEach((instance) => {
+    const [x, , z] = instance.position;
+    const key = getChunkKey(...getChunkCoords(x, z, chunkSize));
+    if (!chunkInstances.has(key)) {
+      chunkInstances.set(key, []);
+    }
+    chunkInstances.get(key).push(instance);
+  });
+
+  return Array.from(chunkInstances, ([key, entries]) =>
+    createChunk(key, entries)
+  );
+}
+
+/**
+ * Grid coordinates of the chunks whose square comes within `distance` of a
+ * point on the XZ plane.
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} chunkSize - Chunk edge length
+ * @param {number} distance - Range around the point
+ * @returns {number[][]} [chunkX, chunkZ] pairs
+ */
+export function getChunkCoordsInRange(x, z, chunkSize, distance) {
+  const [minX, minZ] = getChunkCoords(x - distance, z - distance, chunkSize);
+  const [maxX, maxZ] = getChunkCoords(x + distance, z + distance, chunkSize);
+  const coords = [];
+
+  for (let chunkZ = minZ; chunkZ <= maxZ; chunkZ += 1) {
+    for (let chunkX = minX; chunkX <= maxX; chunkX += 1) {
+      // Closest point of the chunk square to (x, z)
+      const nearestX = THREE.MathUtils.clamp(
+        x,
+        chunkX * chunkSize,
+        (chunkX + 1) * chunkSize
+      );
+      const nearestZ = THREE.MathUtils.clamp(
+        z,
+        chunkZ * chunkSize,
+        (chunkZ + 1) * chunkSize
+      );
+      if (Math.hypot(nearestX - x, nearestZ - z) <= distance) {
+        coords.push([chunkX, chunkZ]);
+      }
+    }
+  }
+
+  return coords;
+}
@@ -0,0 +1,110 @@
+import * as THREE from "three/webgpu";
+import { cameraPosition, float, fract, screenCoordinate, vec2 } from "three/tsl";
+
+/**
+ * Screen-space dithered cross-fade between the real mesh and its impostor.
+ * Both levels read the same fade factor (0 = mesh, 1 = impostor) and keep
+ * complementary halves of a per-pixel noise pattern, so during the transition
+ * every pixel is drawn by exactly one of them.
+ */
+
+export const FADE_LEVEL = {
+  MESH: 0,
+  IMPOSTOR: 1,
+};
+
+/**
+ * Interleaved gradient noise in [0, 1) from the pixel coordinate.
+ */
+function ditherNoise() {
+  return fract(
+    float(52.9829189).mul(
+      fract(screenCoordinate.xy.dot(vec2(0.06711056, 0.00583715)))
+    )
+  );
+}
+
+/**
+ * True where the given level is drawn for the current fade factor.
+ * @param {Node<float>} fade - Fade factor, 0 shows the mesh and 1 the impostor
+ * @param {number} level - FADE_LEVEL.MESH or FADE_LEVEL.IMPOSTOR
+ * @returns {Node<bool>}
+ */
+export function ditherFadeMask(fade, level) {
+  return level === FADE_LEVEL.IMPOSTOR
+    ? ditherNoise().lessThan(fade)
+    : ditherNoise().greaterThanEqual(fade);
+}
+
+/**
+ * Fade factor from the camera distance to a world space point: 0 closer than
+ * lodDistance - lodFadeRange / 2, 1 farther than lodDistance + lodFadeRange / 2.
+ * @param {Node<vec3>} centerWorld - Object center in world space
+ * @param {Node<float>} lodDistance - Switch distance
+ * @param {Node<float>} lodFadeRange - Width of the transition window
+ * @returns {Node<float>}
+ */
+export function lodFadeFactor(centerWorld, lodDistance, lodFadeRange) {
+  const range = lodFadeRange.max(1e-4);
+
+  return centerWorld
+    .distance(cameraPosition)
+    .sub(lodDistance.sub(range.mul(0.5)))
+    .div(range)
+    .clamp(0.0, 1.0);
+}
+
+/**
+ * CPU counterpart of lodFadeFactor.
+ * @param {number} distance - Camera distance
+ * @param {number} lodDistance - Switch distance
+ * @param {number} lodFadeRange - Width of the transition window
+ * @returns {number}
+ */
+export function computeLodFade(distance, lodDistance, lodFadeRange) {
+  const range = Math.max(lodFadeRange, 1e-4);
+
+  return THREE.MathUtils.clamp(
+    (distance - (lodDistance - range * 0.5)) / range,
+    0,
+    1
+  );
+}
+
+/**
+ * Identity and event listeners stay with the source material.
+ */
+const UNCOPIED_MATERIAL_KEYS = new Set(["uuid", "type", "_listeners"]);
+
+/**
+ * Node material copy of a mesh material that is dithered out as the fade
+ * factor goes to 1. Classic materials are converted the same way the
+ * renderer converts them internally.
+ * @param {THREE.Material} material - Source mesh material
+ * @param {Node<float>} fade - Shared fade factor
+ * @returns {THREE.NodeMaterial}
+ */
+export function createDitherFadeMaterial(material, fade) {
+  let nodeMaterial;
+
+  if (material.isNodeMaterial) {
+    nodeMaterial = material.clone();
+  } else {
+    const NodeMaterialClass =
+      THREE[material.type.replace(/Material$/, "NodeMaterial")] ??
+      THREE.MeshStandardNodeMaterial;
+    nodeMaterial = new NodeMaterialClass();
+
+    for (const key in material) {
+      if (UNCOPIED_MATERIAL_KEYS.has(key)) continue;
+      nodeMaterial[key] = material[key];
+    }
+  }
+
+  const mask = ditherFadeMask(fade, FADE_LEVEL.MESH);
+  nodeMaterial.maskNode = nodeMaterial.maskNode
+    ? nodeMaterial.maskNode.and(mask)
+    : mask;
+
+  return nodeMaterial;
+}
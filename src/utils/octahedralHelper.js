@@ -20,7 +20,7 @@ export const OCT_TYPE = {
  * @param {boolean} useCenter - Whether to center the grid
  * @returns {number[]} Array of vertex positions [x, y, z, ...]
  */
-function createGrid(xCells = 6, yCells = 6, width = 1, height = 1, useCenter = true) {
+export function createGrid(xCells = 6, yCells = 6, width = 1, height = 1, useCenter = true) {
   const xInc = width / xCells;
   const yInc = height / yCells;
   let ox = 0;
@@ -104,7 +104,7 @@ function octPlaneIndices(isFull = 0, xCells = 6, yCells = 6) {
  * Converts plane points to hemisphere octahedron.
  * @param {number[]} ary - Array of plane points
  */
-function octHemi(ary) {
+export function octHemi(ary) {
   const radius = 0.5;
 
   for (let i = 0; i < ary.length; i += 3) {
@@ -129,7 +129,7 @@ function octHemi(ary) {
  * Converts plane points to full octahedron.
  * @param {number[]} ary - Array of plane points
  */
-function octFull(ary) {
+export function octFull(ary) {
   const radius = 0.5;
 
   for (let i = 0; i < ary.length; i += 3) {
@@ -142,13 +142,12 @@ function octFull(ary) {
     let z = v;
     let y = 1 - Math.abs(x) - Math.abs(z);
 
-    // Fix XZ for South hemisphere
+    // Fix XZ for South hemisphere, y keeps its negative value
     if (y < 0) {
       const ox = x;
       const oz = z;
       x = Math.sign(ox) * (1.0 - Math.abs(oz));
       z = Math.sign(oz) * (1.0 - Math.abs(ox));
-      y = 1 - Math.abs(x) - Math.abs(z);
     }
 
     // Normalize
@@ -227,3 +226,42 @@ export function coordsToFlatIndex(row, col, gridSize) {
   return row * gridSize + col;
 }
 
+
+/**
+ * Describes how the octahedral frames are packed into the atlas.
+ * A grid of gridSize cells has gridSize + 1 vertices per side, and every
+ * vertex gets its own frame, so the atlas holds (gridSize + 1)² frames.
+ * With mipLevels, the cell size is rounded down to a multiple of 2^mipLevels,
+ * so down to that mip level every texel stays inside one cell (atlasSize
+ * must be a power of two) and frames never bleed into their neighbours.
+ * A gutter leaves that many pixels around the frame inside each cell, the
+ * frame itself covers contentSize pixels.
+ * @param {number} gridSize - Size of the grid (number of cells)
+ * @param {number} atlasSize - Atlas width and height in pixels
+ * @param {number} mipLevels - Mip levels below the full resolution that are sampled
+ * @param {number} gutter - Padding in pixels on each side of a frame
+ * @returns {Object} Object with framesPerSide, cellSize and contentSize (px), frameUvSize, mipLevels and gutter
+ */
+export function getAtlasLayout(gridSize, atlasSize, mipLevels = 0, gutter = 0) {
+  const framesPerSide = gridSize + 1;
+  const alignment = 2 ** mipLevels;
+  const cellSize =
+    Math.floor(atlasSize / framesPerSide / alignment) * alignment;
+
+  const contentSize = cellSize - gutter * 2;
+
+  if (contentSize <= 0) {
+    throw new Error(
+      `Atlas of ${atlasSize}px is too small for ${framesPerSide} frames with ${mipLevels} mip levels and a ${gutter}px gutter`
+    );
+  }
+
+  return {
+    framesPerSide,
+    cellSize,
+    contentSize,
+    frameUvSize: cellSize / atlasSize,
+    mipLevels,
+    gutter,
+  };
+}
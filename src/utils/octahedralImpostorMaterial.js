@@ -0,0 +1,566 @@
+import * as THREE from "three/webgpu";
+import {
+  attribute,
+  cameraFar,
+  cameraNear,
+  cameraPosition,
+  cameraViewMatrix,
+  cameraWorldMatrix,
+  dFdx,
+  dFdy,
+  exp2,
+  float,
+  Fn,
+  int,
+  modelWorldMatrix,
+  modelWorldMatrixInverse,
+  positionGeometry,
+  texture,
+  transformNormalToView,
+  uniform,
+  uniformArray,
+  uv,
+  vec2,
+  vec3,
+  vec4,
+  viewZToOrthographicDepth,
+  viewZToPerspectiveDepth,
+} from "three/tsl";
+import { OCT_TYPE } from "./octahedralHelper";
+import { ditherFadeMask, FADE_LEVEL } from "./lodCrossFade";
+import { windFlutterUv, windSway, windVertexOffset } from "./impostorWind";
+import { applyColorVariation } from "./impostorColorVariation";
+import {
+  decodeOctahedralFrame,
+  encodeOctahedralDirection,
+  lookAtBasis,
+  rotateByQuaternion,
+  selectOctahedralFrames,
+} from "./octahedralImpostorNodes";
+
+/**
+ * Names of the per-instance attributes read by the instanced impostor material.
+ */
+export const IMPOSTOR_INSTANCE_ATTRIBUTES = {
+  offset: "impostorOffset",
+  scale: "impostorScale",
+  rotation: "impostorRotation",
+  species: "impostorSpecies",
+  phase: "impostorPhase",
+  variation: "impostorVariation",
+  color: "impostorColor",
+};
+
+// Distance standing in for the position of an orthographic camera
+const ORTHOGRAPHIC_CAMERA_DISTANCE = 1e4;
+
+/**
+ * Per-instance value of an instanced impostor: the `instanceNodes` override
+ * when given (e.g. GPU culled buffers), otherwise its instance attribute.
+ */
+function instanceValue(key, type, instanceNodes) {
+  return (
+    instanceNodes?.[key] ?? attribute(IMPOSTOR_INSTANCE_ATTRIBUTES[key], type)
+  );
+}
+
+/**
+ * Billboard size for an atlas: explicit `geometryArgs` win, otherwise the
+ * baked frame size so the quad covers exactly what the bake camera saw.
+ * Atlas arrays (see createAtlasArray) use a unit quad, scaled per species
+ * in the shader.
+ * @param {Object|null} atlas - Atlas payload
+ * @param {number[]|null} geometryArgs - PlaneGeometry width/height override
+ * @returns {number[]} PlaneGeometry width and height
+ */
+export function getBillboardSize(atlas, geometryArgs = null) {
+  if (geometryArgs) return geometryArgs;
+  if (atlas?.speciesCount) return [1, 1];
+
+  const frameSize = atlas?.bounds?.frameSize;
+  return frameSize ? [frameSize, frameSize] : [2, 2];
+}
+
+/**
+ * Quad geometry for the billboard. Its bounding sphere encloses the quad in
+ * any orientation around the billboard center, for frustum culling.
+ * @param {Object|null} atlas - Atlas payload
+ * @param {number[]|null} geometryArgs - PlaneGeometry width/height override
+ * @returns {THREE.PlaneGeometry}
+ */
+export function createBillboardGeometry(atlas, geometryArgs = null) {
+  const [width, height] = getBillboardSize(atlas, geometryArgs);
+  const geometry = new THREE.PlaneGeometry(width, height);
+  const radius = Math.hypot(width, height) * 0.5;
+
+  if (atlas?.speciesCount) {
+    // Around the origin, large enough for the quad of every species
+    const speciesRadius = atlas.speciesBounds.reduce((maxRadius, bounds) => {
+      const { pivotOffset, size } = getSpeciesFrame(bounds, geometryArgs);
+      return Math.max(maxRadius, Math.hypot(...pivotOffset) + radius * size);
+    }, 0);
+    geometry.boundingSphere = new THREE.Sphere(
+      new THREE.Vector3(),
+      speciesRadius
+    );
+  } else {
+    geometry.boundingSphere = new THREE.Sphere(
+      new THREE.Vector3().fromArray(atlas?.bounds?.pivotOffset ?? [0, 0, 0]),
+      radius
+    );
+  }
+
+  return geometry;
+}
+
+/**
+ * Billboard center offset and quad scale of one species of an atlas array.
+ * The unit quad takes the species frame size unless geometryArgs sizes it.
+ */
+function getSpeciesFrame(bounds, geometryArgs) {
+  return {
+    pivotOffset: bounds?.pivotOffset ?? [0, 0, 0],
+    size: geometryArgs ? 1 : (bounds?.frameSize ?? 2),
+  };
+}
+
+/**
+ * Atlas array layer of the impostor and its billboard offset and quad scale,
+ * looked up per species. Instances read their layer from the species
+ * attribute, single impostors use `species`. Null for plain atlases.
+ */
+function buildSpeciesFrame(
+  atlas,
+  { instanced, instanceNodes, species, geometryArgs }
+) {
+  if (!atlas.speciesCount) {
+    return null;
+  }
+
+  const layer = instanced
+    ? int(instanceValue("species", "float", instanceNodes))
+    : int(uniform(species));
+  const frames = uniformArray(
+    atlas.speciesBounds.map((bounds) => {
+      const { pivotOffset, size } = getSpeciesFrame(bounds, geometryArgs);
+      return new THREE.Vector4(...pivotOffset, size);
+    }),
+    "vec4"
+  );
+  const frame = frames.element(layer);
+
+  return { layer, pivotOffset: frame.xyz, size: frame.w };
+}
+
+/**
+ * Offset from a mesh local point to the camera. Orthographic cameras, like
+ * the shadow camera of a directional light, see every point from the same
+ * direction, so the offset runs far back along their view axis instead.
+ */
+const cameraOffsetFrom = Fn(([pointLocal], builder) => {
+  if (builder.camera.isOrthographicCamera) {
+    const backward = cameraWorldMatrix.mul(vec4(0, 0, 1, 0)).xyz;
+    return modelWorldMatrixInverse
+      .mul(vec4(backward, 0.0))
+      .xyz.normalize()
+      .mul(ORTHOGRAPHIC_CAMERA_DISTANCE);
+  }
+
+  const cameraLocal = modelWorldMatrixInverse.mul(vec4(cameraPosition, 1.0)).xyz;
+  return cameraLocal.sub(pointLocal);
+});
+
+/**
+ * Builds a camera-facing quad in mesh local space and the view direction
+ * used for frame selection. Directions (forward, right, up, cameraOffset) are
+ * in the instance's own space, rotated by the per-instance rotation when
+ * instanced, and `toLocal` turns them back into mesh local space. The right/up
+ * axes match the bake camera image axes.
+ * The quad is centered on the baked bounds center, `pivotOffset` away from the
+ * object (or instance) origin, and scaled by `size` on top of the geometry.
+ */
+function buildBillboard(instanced, instanceNodes, { pivotOffset, size }) {
+  const origin = instanced
+    ? instanceValue("offset", "vec3", instanceNodes)
+    : vec3(0, 0, 0);
+  const scale = instanced
+    ? instanceValue("scale", "vec3", instanceNodes)
+    : vec3(1, 1, 1);
+  const rotation = instanced
+    ? instanceValue("rotation", "vec4", instanceNodes)
+    : null;
+  const toLocal = (direction) =>
+    rotation ? rotateByQuaternion(direction, rotation) : direction;
+  const toInstance = (direction) =>
+    rotation
+      ? rotateByQuaternion(direction, vec4(rotation.xyz.negate(), rotation.w))
+      : direction;
+
+  const center = origin.add(toLocal(pivotOffset.mul(scale)));
+
+  const cameraOffset = toInstance(cameraOffsetFrom(center));
+  const forward = cameraOffset.normalize();
+  const { right, up } = lookAtBasis(forward);
+
+  const quadOffset = right
+    .mul(positionGeometry.x.mul(scale.x).mul(size))
+    .add(up.mul(positionGeometry.y.mul(scale.y).mul(size)));
+  const positionNode = center.add(toLocal(quadOffset));
+
+  return {
+    origin,
+    vertexHeight: pivotOffset.mul(scale).add(quadOffset).y,
+    center,
+    scale,
+    size,
+    cameraOffset,
+    forward,
+    right,
+    up,
+    toLocal,
+    positionNode,
+    normalNode: transformNormalToView(toLocal(forward)),
+  };
+}
+
+/**
+ * Converts a local space point into the [0, 1] depth expected by depthNode.
+ */
+const localPointToDepth = Fn(([pointLocal], builder) => {
+  const viewZ = cameraViewMatrix.mul(modelWorldMatrix.mul(vec4(pointLocal, 1.0)))
+    .z;
+
+  return builder.camera.isPerspectiveCamera
+    ? viewZToPerspectiveDepth(viewZ, cameraNear, cameraFar)
+    : viewZToOrthographicDepth(viewZ, cameraNear, cameraFar);
+});
+
+/**
+ * Parallax-corrected UV of one frame for a ray through the billboard.
+ * Distances are in quad units: the billboard spans [-0.5, 0.5] and the baked
+ * depth stores the height above the frame plane as `depth - 0.5`.
+ * The ray is first intersected with the frame plane, then moved to the height
+ * read from the depth atlas at that point (one refinement step).
+ */
+function parallaxFrameUv({
+  frame,
+  origin,
+  ray,
+  gridSize,
+  octType,
+  depthTexture,
+  cellLayout,
+  mip,
+}) {
+  const frameDirection = decodeOctahedralFrame(frame, gridSize, octType);
+  const { right, up } = lookAtBasis(frameDirection);
+
+  // The ray points away from the camera, so it faces the frame plane when negative
+  const facing = ray.dot(frameDirection).min(-1e-4);
+  const originHeight = origin.dot(frameDirection);
+
+  const planeHit = origin.add(ray.mul(originHeight.negate().div(facing)));
+  const planeUv = vec2(planeHit.dot(right), planeHit.dot(up))
+    .add(0.5)
+    .clamp(0.0, 1.0);
+
+  const height = sampleAtlas(
+    depthTexture,
+    atlasFrameUv(frame, planeUv, cellLayout, mip),
+    mip
+  ).r.sub(0.5);
+  const distance = height.sub(originHeight).div(facing);
+  const surfaceHit = origin.add(ray.mul(distance));
+
+  return {
+    uv: vec2(surfaceHit.dot(right), surfaceHit.dot(up))
+      .add(0.5)
+      .clamp(0.0, 1.0),
+    distance,
+  };
+}
+
+/**
+ * Mip sampling of an atlas baked with mipLevels (see getAtlasLayout): the
+ * level follows the screen size of one frame texel and is clamped to the
+ * levels the cell layout is aligned for. Null when the atlas has no mipmaps.
+ */
+function atlasMipSampling(atlas) {
+  if (!atlas.mipLevels) {
+    return null;
+  }
+
+  const texelUv = uv().mul(atlas.contentSize ?? atlas.cellSize);
+  const footprint = dFdx(texelUv).length().max(dFdy(texelUv).length());
+
+  return {
+    level: footprint.max(1e-6).log2().clamp(0.0, atlas.mipLevels),
+    texelSize: 1 / atlas.atlasSize,
+  };
+}
+
+/**
+ * Cell layout of the atlas in UV units: cell stride, gutter and frame size.
+ */
+function createCellLayout(atlas) {
+  const { atlasSize, gutter = 0, cellSize } = atlas;
+  const contentSize = atlas.contentSize ?? cellSize;
+
+  return {
+    frameUvSize: uniform(float(atlas.frameUvSize)),
+    gutterUv: float(gutter / atlasSize),
+    contentUvSize: float(contentSize / atlasSize),
+    flipRows: !!atlas.sampleAsRenderTarget,
+  };
+}
+
+/**
+ * Flips atlas UVs the way the renderer flips render target textures, for
+ * array layers copied from bake render targets.
+ */
+const renderTargetUv = Fn(([atlasUv], builder) =>
+  builder.isFlipY() ? vec2(atlasUv.x, atlasUv.y.oneMinus()) : atlasUv
+);
+
+/**
+ * Atlas texture node, sampling the species layer of atlas arrays.
+ */
+function atlasTexture(map, speciesFrame) {
+  const node = texture(map);
+  return speciesFrame ? node.depth(speciesFrame.layer) : node;
+}
+
+/**
+ * Atlas UV of a point of one frame, skipping the cell gutter. On mipmapped
+ * atlases the point is kept half a texel of the sampled level inside the
+ * cell, so the filter never reaches the neighbouring frames.
+ */
+function atlasFrameUv(frame, cellUv, cellLayout, mip) {
+  const { frameUvSize, gutterUv, contentUvSize, flipRows } = cellLayout;
+  let offset = cellUv.mul(contentUvSize).add(gutterUv);
+
+  if (mip) {
+    const inset = exp2(mip.level).mul(mip.texelSize * 0.5);
+    offset = offset.clamp(inset, frameUvSize.sub(inset));
+  }
+
+  const atlasUv = frame.mul(frameUvSize).add(offset);
+  return flipRows ? renderTargetUv(atlasUv) : atlasUv;
+}
+
+function sampleAtlas(atlasTexture, atlasUv, mip) {
+  const sample = atlasTexture.sample(atlasUv);
+  return mip ? sample.level(mip.level) : sample;
+}
+
+/**
+ * Samples three atlas frames at their atlas UVs (see atlasFrameUv) and
+ * interpolates them with the barycentric weights.
+ */
+function blendFrames(atlasTexture, frameUvs, weights, mip) {
+  return sampleAtlas(atlasTexture, frameUvs[0], mip)
+    .mul(weights.x)
+    .add(sampleAtlas(atlasTexture, frameUvs[1], mip).mul(weights.y))
+    .add(sampleAtlas(atlasTexture, frameUvs[2], mip).mul(weights.z));
+}
+
+/**
+ * Creates the node material that blends three atlas frames with barycentric weights.
+ * The frames are picked per pixel from the camera-to-impostor vector, so no CPU
+ * work is needed per object. When `instanced` is true, the impostor center,
+ * scale and rotation (a quaternion, frames are then picked in the rotated
+ * instance space) come from per-instance attributes. When the atlas carries a
+ * depth texture, frame UVs are parallax corrected and the fragment depth is written;
+ * normal and albedo textures make the impostor lit by the scene lights.
+ * Atlases with mipLevels are sampled at a clamped level inside their cells.
+ * In the shadow pass the frames are picked from the light, and the lit
+ * material receives shadows at the parallax corrected surface point.
+ * A `fade` node (0 = real mesh, 1 = impostor) dithers the impostor out through
+ * alphaTest during LOD transitions, see lodCrossFade.
+ * Atlas arrays (see createAtlasArray) render the layer picked by the
+ * per-instance species attribute, or by `species` when not instanced.
+ * With `wind`, the quad sways and the leaves flutter with the global wind
+ * of impostorWind, offset per instance by the phase attribute.
+ * Instances multiply their color by the per-instance color attribute, and
+ * with `colorVariation` (uniforms from impostorColorVariation) jitter it by
+ * their variation attribute.
+ * `instanceNodes` (`{ offset, scale, rotation, species, phase, variation,
+ * color }`) replace the per-instance attributes with other nodes, see
+ * impostorGpuCulling.
+ * @param {Object} params - Material parameters
+ * @returns {THREE.MeshStandardNodeMaterial} The impostor material
+ */
+export function createOctahedralImpostorMaterial({
+  atlas,
+  gridSize,
+  octType = OCT_TYPE.HEMI,
+  instanced = false,
+  geometryArgs = null,
+  alphaTest = 0.5,
+  roughness = 1,
+  metalness = 0,
+  environment = null,
+  envMapIntensity = 1,
+  fade = null,
+  species = 0,
+  instanceNodes = null,
+  wind = false,
+  colorVariation = null,
+}) {
+  const material = new THREE.MeshStandardNodeMaterial();
+  material.transparent = true;
+  material.alphaTest = alphaTest;
+  material.side = THREE.DoubleSide;
+  material.roughness = roughness;
+  material.metalness = metalness;
+
+  const cellLayout = createCellLayout(atlas);
+  const speciesFrame = buildSpeciesFrame(atlas, {
+    instanced,
+    instanceNodes,
+    species,
+    geometryArgs,
+  });
+  const colorTexture = atlasTexture(atlas.texture, speciesFrame);
+  const mip = atlasMipSampling(atlas);
+
+  const billboard = buildBillboard(
+    instanced,
+    instanceNodes,
+    speciesFrame ?? {
+      pivotOffset: vec3(...(atlas.bounds?.pivotOffset ?? [0, 0, 0])),
+      size: float(1),
+    }
+  );
+  material.positionNode = billboard.positionNode;
+  material.normalNode = billboard.normalNode;
+
+  // Global wind, each instance swaying with its own phase
+  const sway = wind
+    ? windSway(
+        billboard.origin,
+        instanced ? instanceValue("phase", "float", instanceNodes) : float(0)
+      )
+    : null;
+  if (sway) {
+    const [, billboardHeight] = getBillboardSize(atlas, geometryArgs);
+    const treeHeight = billboard.scale.y
+      .mul(billboard.size)
+      .mul(billboardHeight);
+    material.positionNode = billboard.positionNode.add(
+      windVertexOffset(sway, billboard.vertexHeight, treeHeight)
+    );
+  }
+
+  const octUv = encodeOctahedralDirection(billboard.forward, octType);
+  const { frameA, frameB, frameC, weights } = selectOctahedralFrames(
+    octUv,
+    gridSize,
+    octType
+  );
+
+  const vUv = sway ? windFlutterUv(sway, uv()) : uv();
+  let uvA = vUv;
+  let uvB = vUv;
+  let uvC = vUv;
+
+  if (atlas.depthTexture) {
+    const depthTexture = atlasTexture(atlas.depthTexture, speciesFrame);
+    const [billboardWidth] = getBillboardSize(atlas, geometryArgs);
+    const quadSize = billboard.scale.x.mul(billboard.size).mul(billboardWidth);
+
+    // Billboard point and camera in quad units, relative to the impostor center
+    const origin = billboard.right
+      .mul(vUv.x.sub(0.5))
+      .add(billboard.up.mul(vUv.y.sub(0.5)));
+    const cameraQuad = billboard.cameraOffset.div(quadSize);
+    const ray = origin.sub(cameraQuad).normalize();
+
+    const parallaxParams = {
+      origin,
+      ray,
+      gridSize,
+      octType,
+      depthTexture,
+      cellLayout,
+      mip,
+    };
+    const hitA = parallaxFrameUv({ frame: frameA, ...parallaxParams });
+    const hitB = parallaxFrameUv({ frame: frameB, ...parallaxParams });
+    const hitC = parallaxFrameUv({ frame: frameC, ...parallaxParams });
+    uvA = hitA.uv;
+    uvB = hitB.uv;
+    uvC = hitC.uv;
+
+    // Push the fragment to the blended surface depth so impostors intersect correctly
+    const distance = hitA.distance
+      .mul(weights.x)
+      .add(hitB.distance.mul(weights.y))
+      .add(hitC.distance.mul(weights.z));
+    const surfaceLocal = billboard.center.add(
+      billboard.toLocal(origin.add(ray.mul(distance)).mul(quadSize))
+    );
+    material.depthNode = localPointToDepth(surfaceLocal);
+    material.receivedShadowPositionNode = modelWorldMatrix.mul(
+      vec4(surfaceLocal, 1.0)
+    ).xyz;
+  }
+
+  const frameUvs = [
+    atlasFrameUv(frameA, uvA, cellLayout, mip),
+    atlasFrameUv(frameB, uvB, cellLayout, mip),
+    atlasFrameUv(frameC, uvC, cellLayout, mip),
+  ];
+  const color = blendFrames(colorTexture, frameUvs, weights, mip);
+
+  let baseColor = atlas.albedoTexture
+    ? blendFrames(
+        atlasTexture(atlas.albedoTexture, speciesFrame),
+        frameUvs,
+        weights,
+        mip
+      ).rgb
+    : color.rgb;
+
+  // Per-instance jitter and tint, then the instance color on top
+  if (instanced) {
+    if (colorVariation) {
+      baseColor = applyColorVariation(
+        baseColor,
+        instanceValue("variation", "vec4", instanceNodes),
+        colorVariation
+      );
+    }
+    baseColor = baseColor.mul(instanceValue("color", "vec3", instanceNodes));
+  }
+  material.colorNode = baseColor;
+  material.opacityNode = fade
+    ? color.a.mul(ditherFadeMask(fade, FADE_LEVEL.IMPOSTOR).select(1.0, 0.0))
+    : color.a;
+
+  // The shadow pass renders the same billboard from the shadow camera and
+  // cuts it out with the atlas alpha. The LOD fade would be measured from the
+  // light there, so it is left out.
+  material.castShadowNode = vec4(0, 0, 0, color.a);
+
+  // Baked object space normals replace the camera-facing billboard normal
+  if (atlas.normalTexture) {
+    const packedNormal = blendFrames(
+      atlasTexture(atlas.normalTexture, speciesFrame),
+      frameUvs,
+      weights,
+      mip
+    ).rgb;
+    material.normalNode = transformNormalToView(
+      billboard.toLocal(packedNormal.mul(2.0).sub(1.0).normalize())
+    );
+  }
+
+  // Environment map
+  if (environment) {
+    material.envMap = environment;
+    material.envMapIntensity = envMapIntensity;
+  }
+
+  return material;
+}
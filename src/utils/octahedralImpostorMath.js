@@ -1,9 +1,19 @@
-import { buildOctahedralMesh } from "./octahedralHelper";
+import { buildOctahedralMesh, OCT_TYPE } from "./octahedralHelper.js";
 
 const samplingCache = new Map();
 
-function encodeDirectionToOctUV(direction) {
-  const { x, y, z } = direction;
+/**
+ * Encodes a direction into octahedral UV in [0, 1], the inverse of octHemi /
+ * octFull: the grid vertex at (col, row) sits at UV (col, row) / gridSize.
+ * With OCT_TYPE.FULL the lower hemisphere folds onto the outer triangles.
+ * @param {{ x: number, y: number, z: number }} direction - Direction, not necessarily normalized
+ * @param {number} octType - OCT_TYPE.HEMI or OCT_TYPE.FULL
+ * @returns {{ u: number, v: number }}
+ */
+export function encodeDirectionToOctUV(direction, octType = OCT_TYPE.FULL) {
+  const { x, z } = direction;
+  // The hemisphere atlas has no frames below the horizon
+  const y = octType === OCT_TYPE.HEMI ? Math.max(direction.y, 0) : direction.y;
   const absX = Math.abs(x);
   const absY = Math.abs(y);
   const absZ = Math.abs(z);
@@ -13,6 +23,14 @@ function encodeDirectionToOctUV(direction) {
   let ny = y * invSum;
   let nz = z * invSum;
 
+  if (octType === OCT_TYPE.HEMI) {
+    // Inverse of octHemi: x = u - v, z = u + v - 1
+    return {
+      u: (nx + nz + 1) * 0.5,
+      v: (nz - nx + 1) * 0.5,
+    };
+  }
+
   if (ny < 0) {
     const signX = nx >= 0 ? 1 : -1;
     const signZ = nz >= 0 ? 1 : -1;
@@ -28,7 +46,16 @@ function encodeDirectionToOctUV(direction) {
   };
 }
 
-function computeBarycentric2D(px, py, triangleUV, target) {
+/**
+ * Barycentric weights of a point in a 2D triangle. Points outside are
+ * clamped onto it, degenerate triangles get equal weights.
+ * @param {number} px - Point x
+ * @param {number} py - Point y
+ * @param {number[][]} triangleUV - Corners [[x, y], [x, y], [x, y]]
+ * @param {THREE.Vector3} target - Receives the weights of the three corners
+ * @returns {THREE.Vector3} target
+ */
+export function computeBarycentric2D(px, py, triangleUV, target) {
   const ax = triangleUV[0][0];
   const ay = triangleUV[0][1];
   const bx = triangleUV[1][0];
@@ -170,7 +197,7 @@ export function sampleOctahedralDirection({
 }) {
   if (!cache) return false;
 
-  const uv = encodeDirectionToOctUV(direction);
+  const uv = encodeDirectionToOctUV(direction, cache.octType);
   const gridSize = cache.gridSize;
 
   const scaledU = uv.u * gridSize;
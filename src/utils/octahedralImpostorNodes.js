@@ -0,0 +1,169 @@
+import { cross, float, select, vec2, vec3 } from "three/tsl";
+import { OCT_TYPE } from "./octahedralHelper";
+
+/**
+ * TSL counterparts of octahedralImpostorMath, evaluated per pixel on the GPU.
+ * Frame coordinates are grid vertex coordinates (0..gridSize on each axis),
+ * matching the vertex layout produced by createGrid.
+ */
+
+/**
+ * Returns +1 for non-negative components and -1 otherwise.
+ */
+function signNotZero(value) {
+  return select(value.greaterThanEqual(0.0), float(1.0), float(-1.0));
+}
+
+/**
+ * Encodes a (not necessarily normalized) direction into octahedral UV in [0, 1].
+ * Inverse of octHemi / octFull in octahedralHelper.
+ * @param {Node<vec3>} direction - View direction in the impostor's local space
+ * @param {number} octType - OCT_TYPE.HEMI or OCT_TYPE.FULL
+ * @returns {Node<vec2>} Octahedral UV
+ */
+export function encodeOctahedralDirection(direction, octType) {
+  if (octType === OCT_TYPE.HEMI) {
+    // Views from below reuse the horizon frames
+    const clamped = vec3(direction.x, direction.y.max(0.0), direction.z);
+    const n = clamped.div(
+      clamped.x.abs().add(clamped.y.abs()).add(clamped.z.abs()).add(1e-9)
+    );
+
+    return vec2(
+      n.x.add(n.z).add(1.0).mul(0.5),
+      n.z.sub(n.x).add(1.0).mul(0.5)
+    );
+  }
+
+  const n = direction.div(
+    direction.x.abs().add(direction.y.abs()).add(direction.z.abs()).add(1e-9)
+  );
+
+  // Fold the lower hemisphere onto the outer triangles
+  const folded = vec2(
+    float(1.0).sub(n.z.abs()).mul(signNotZero(n.x)),
+    float(1.0).sub(n.x.abs()).mul(signNotZero(n.z))
+  );
+  const encoded = select(n.y.lessThan(0.0), folded, vec2(n.x, n.z));
+
+  return encoded.mul(0.5).add(0.5);
+}
+
+/**
+ * Decodes a frame (grid vertex coordinates) back into its unit view direction.
+ * Matches the directions octHemi / octFull assign to the grid vertices.
+ * @param {Node<vec2>} frame - Grid vertex coordinates in 0..gridSize
+ * @param {number} gridSize - Number of grid cells per side
+ * @param {number} octType - OCT_TYPE.HEMI or OCT_TYPE.FULL
+ * @returns {Node<vec3>} Normalized view direction of the frame
+ */
+export function decodeOctahedralFrame(frame, gridSize, octType) {
+  const octUv = frame.div(float(gridSize));
+
+  if (octType === OCT_TYPE.HEMI) {
+    const x = octUv.x.sub(octUv.y);
+    const z = octUv.x.add(octUv.y).sub(1.0);
+    const y = float(1.0).sub(x.abs()).sub(z.abs());
+    return vec3(x, y, z).normalize();
+  }
+
+  const x = octUv.x.mul(2.0).sub(1.0);
+  const z = octUv.y.mul(2.0).sub(1.0);
+  const y = float(1.0).sub(x.abs()).sub(z.abs());
+
+  // Unfold the outer triangles into the lower hemisphere
+  const lower = y.lessThan(0.0);
+  const foldedX = select(
+    lower,
+    float(1.0).sub(z.abs()).mul(signNotZero(x)),
+    x
+  );
+  const foldedZ = select(
+    lower,
+    float(1.0).sub(x.abs()).mul(signNotZero(z)),
+    z
+  );
+
+  return vec3(foldedX, y, foldedZ).normalize();
+}
+
+/**
+ * Right/up axes of a view looking along -forward with +Y up, built the same
+ * way as Object3D.lookAt so they match the bake camera image axes.
+ * @param {Node<vec3>} forward - Unit vector pointing towards the viewer
+ * @returns {{ right: Node<vec3>, up: Node<vec3> }}
+ */
+export function lookAtBasis(forward) {
+  const rightRaw = cross(vec3(0, 1, 0), forward);
+  // Looking straight down makes the cross product vanish; fall back to +X like lookAt does.
+  const right = select(
+    rightRaw.length().lessThan(1e-5),
+    vec3(1, 0, 0),
+    rightRaw.normalize()
+  );
+
+  return { right, up: cross(forward, right) };
+}
+
+/**
+ * Rotates a vector by a unit quaternion (x, y, z, w).
+ * @param {Node<vec3>} vector - Vector to rotate
+ * @param {Node<vec4>} quaternion - Unit rotation quaternion
+ * @returns {Node<vec3>} Rotated vector
+ */
+export function rotateByQuaternion(vector, quaternion) {
+  const t = cross(quaternion.xyz, vector).mul(2.0);
+  return vector.add(t.mul(quaternion.w)).add(cross(quaternion.xyz, t));
+}
+
+/**
+ * Picks the three grid vertices surrounding an octahedral UV and their
+ * barycentric weights, using the same triangulation as octPlaneIndices.
+ * @param {Node<vec2>} octUv - Octahedral UV from encodeOctahedralDirection
+ * @param {number} gridSize - Number of grid cells per side
+ * @param {number} octType - OCT_TYPE.HEMI or OCT_TYPE.FULL
+ * @returns {{ frameA: Node<vec2>, frameB: Node<vec2>, frameC: Node<vec2>, weights: Node<vec3> }}
+ */
+export function selectOctahedralFrames(octUv, gridSize, octType) {
+  const gridSizeNode = float(gridSize);
+  const halfGrid = float(Math.max(Math.floor(gridSize * 0.5), 1));
+
+  const scaled = octUv.mul(gridSizeNode);
+  const cell = scaled.floor().clamp(0.0, gridSizeNode.sub(1.0));
+  const local = scaled.sub(cell).clamp(0.0, 0.999999);
+  const u = local.x;
+  const v = local.y;
+
+  // Same alternating diagonal pattern as octPlaneIndices
+  const alt = cell.x
+    .div(halfGrid)
+    .floor()
+    .add(cell.y.div(halfGrid).floor())
+    .mod(2.0);
+  const isBackslash = alt.sub(octType).abs().lessThan(0.5);
+
+  // Backslash cells split along (0, 0) - (1, 1)
+  const upper = v.greaterThanEqual(u);
+  const backA = vec2(0.0, 0.0);
+  const backB = select(upper, vec2(0.0, 1.0), vec2(1.0, 0.0));
+  const backC = vec2(1.0, 1.0);
+  const backWeights = vec3(float(1.0).sub(u.max(v)), v.sub(u).abs(), u.min(v));
+
+  // Forward slash cells split along (1, 0) - (0, 1)
+  const lower = u.add(v).lessThanEqual(1.0);
+  const forwardA = select(lower, vec2(0.0, 0.0), vec2(1.0, 1.0));
+  const forwardB = vec2(1.0, 0.0);
+  const forwardC = vec2(0.0, 1.0);
+  const forwardWeights = vec3(
+    float(1.0).sub(u).sub(v).abs(),
+    select(lower, u, float(1.0).sub(v)),
+    select(lower, v, float(1.0).sub(u))
+  );
+
+  return {
+    frameA: cell.add(select(isBackslash, backA, forwardA)),
+    frameB: cell.add(select(isBackslash, backB, forwardB)),
+    frameC: cell.add(select(isBackslash, backC, forwardC)),
+    weights: select(isBackslash, backWeights, forwardWeights),
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Minimal RGBA8 PNG encoder shared by the browser exporter and the
+ * command-line baker. Unlike a 2D canvas it keeps the color of fully
+ * transparent texels, which carry the dilated edge colors of the atlas.
+ * The zlib compression is passed in (node:zlib or CompressionStream).
+ */
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index++) {
+    crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let index = 0; index < 4; index++) {
+    chunk[4 + index] = type.charCodeAt(index);
+  }
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+/**
+ * Compresses bytes to the zlib format with the browser's CompressionStream.
+ * @param {Uint8Array} bytes - Data to compress
+ * @returns {Promise<Uint8Array>}
+ */
+export async function deflateInBrowser(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encodes top-down RGBA8 pixels as a PNG file.
+ * @param {Uint8Array} pixels - width * height * 4 bytes, first row at the top
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} deflate - zlib compression, (bytes) => Uint8Array or a Promise of it
+ * @returns {Promise<Uint8Array>} PNG file contents
+ */
+export async function encodePng(pixels, width, height, deflate) {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  header[10] = 0; // deflate
+  header[11] = 0; // adaptive filtering
+  header[12] = 0; // no interlace
+
+  // Every scanline starts with filter type 0 (none)
+  const rowSize = width * 4;
+  const scanlines = new Uint8Array((rowSize + 1) * height);
+  for (let row = 0; row < height; row++) {
+    scanlines.set(
+      pixels.subarray(row * rowSize, (row + 1) * rowSize),
+      row * (rowSize + 1) + 1
+    );
+  }
+
+  const chunks = [
+    PNG_SIGNATURE,
+    createChunk("IHDR", header),
+    createChunk("IDAT", new Uint8Array(await deflate(scanlines))),
+    createChunk("IEND", new Uint8Array(0)),
+  ];
+  const png = new Uint8Array(
+    chunks.reduce((length, chunk) => length + chunk.length, 0)
+  );
+  chunks.reduce((offset, chunk) => {
+    png.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+
+  return png;
+}
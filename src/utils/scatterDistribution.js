@@ -0,0 +1,200 @@
+/**
+ * Distribution controls for scattered instances: a density map or callback
+ * over the scatter area, exclusion zones, and Poisson-disk sampling for a
+ * minimum spacing between instances. Everything draws from the random
+ * function it is given, so a seeded generator keeps layouts reproducible.
+ */
+
+/**
+ * Reads the first channel of a texture image into [0, 1] values, rows from
+ * the top of the image (or the first row of a DataTexture's data).
+ */
+function readTextureChannel(texture) {
+  const { image } = texture;
+
+  if (image?.data) {
+    const { data, width, height } = image;
+    const channels = data.length / (width * height);
+    const scale = data instanceof Uint8Array ? 1 / 255 : 1;
+    const values = new Float32Array(width * height);
+    for (let index = 0; index < values.length; index += 1) {
+      values[index] = data[index * channels] * scale;
+    }
+    return { values, width, height };
+  }
+
+  const width = image.width;
+  const height = image.height;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  context.drawImage(image, 0, 0);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  const values = new Float32Array(width * height);
+  for (let index = 0; index < values.length; index += 1) {
+    values[index] = data[index * 4] / 255;
+  }
+  return { values, width, height };
+}
+
+/**
+ * Creates a density lookup `(x, z) => [0, 1]` for the scatter area.
+ * `density` is either such a function of world x/z, or a grayscale texture
+ * laid over the area as seen from above: left edge at -X, top edge at -Z.
+ * @param {Function|THREE.Texture|null} density - Density callback or map
+ * @param {Object} area - { center: [x, z], size: [width, depth] }
+ * @returns {Function|null} Density lookup, null without density
+ */
+export function createDensitySampler(density, { center, size }) {
+  if (!density) return null;
+  if (typeof density === "function") return density;
+
+  const { values, width, height } = readTextureChannel(density);
+  const [centerX, centerZ] = center;
+  const [areaWidth, areaDepth] = size;
+
+  return (x, z) => {
+    const u = (x - centerX) / areaWidth + 0.5;
+    const v = (z - centerZ) / areaDepth + 0.5;
+    if (u < 0 || u > 1 || v < 0 || v > 1) return 0;
+
+    const column = Math.min(width - 1, Math.floor(u * width));
+    const row = Math.min(height - 1, Math.floor(v * height));
+    return values[row * width + column];
+  };
+}
+
+/**
+ * Even-odd test: counts the polygon edges crossed by a ray towards +X.
+ */
+function isInsidePolygon(x, z, points) {
+  let inside = false;
+  let previous = points.length - 1;
+
+  points.forEach(([xA, zA], index) => {
+    const [xB, zB] = points[previous];
+    if (zA > z !== zB > z && x < ((xB - xA) * (z - zA)) / (zB - zA) + xA) {
+      inside = !inside;
+    }
+    previous = index;
+  });
+
+  return inside;
+}
+
+/**
+ * Whether a world x/z point falls in one of the exclusion zones, circles
+ * `{ center: [x, z], radius }` or polygons `{ points: [[x, z], ...] }`.
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @param {Object[]} exclusions - Exclusion zones
+ * @returns {boolean}
+ */
+export function isExcluded(x, z, exclusions) {
+  return exclusions.some((zone) => {
+    if (zone.points) {
+      return isInsidePolygon(x, z, zone.points);
+    }
+
+    const [centerX, centerZ] = zone.center;
+    return Math.hypot(x - centerX, z - centerZ) < zone.radius;
+  });
+}
+
+/**
+ * Poisson-disk points over a width x depth rectangle centered on the
+ * origin, no two closer than `minSpacing` (Bridson's algorithm). The points
+ * are shuffled, so taking the first n of them still covers the whole area.
+ * @param {Object} params - { size: [width, depth], minSpacing, random, maxCandidates }
+ * @returns {number[][]} [x, z] offsets from the area center
+ */
+export function poissonDiskSample({
+  size,
+  minSpacing,
+  random,
+  maxCandidates = 30,
+}) {
+  const [width, depth] = size;
+  const cellSize = minSpacing / Math.SQRT2;
+  const columns = Math.max(1, Math.ceil(width / cellSize));
+  const rows = Math.max(1, Math.ceil(depth / cellSize));
+  const grid = new Int32Array(columns * rows).fill(-1);
+  const points = [];
+  const active = [];
+
+  const cellIndex = (x, z) =>
+    Math.min(rows - 1, Math.floor(z / cellSize)) * columns +
+    Math.min(columns - 1, Math.floor(x / cellSize));
+
+  const isFarEnough = (x, z) => {
+    const column = Math.floor(x / cellSize);
+    const row = Math.floor(z / cellSize);
+    for (let rowOffset = -2; rowOffset <= 2; rowOffset += 1) {
+      for (let columnOffset = -2; columnOffset <= 2; columnOffset += 1) {
+        const neighbourRow = row + rowOffset;
+        const neighbourColumn = column + columnOffset;
+        if (
+          neighbourRow < 0 ||
+          neighbourRow >= rows ||
+          neighbourColumn < 0 ||
+          neighbourColumn >= columns
+        ) {
+          continue;
+        }
+
+        const pointIndex = grid[neighbourRow * columns + neighbourColumn];
+        if (pointIndex === -1) continue;
+
+        const [pointX, pointZ] = points[pointIndex];
+        if (Math.hypot(pointX - x, pointZ - z) < minSpacing) {
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  const addPoint = (x, z) => {
+    grid[cellIndex(x, z)] = points.length;
+    active.push(points.length);
+    points.push([x, z]);
+  };
+
+  addPoint(random() * width, random() * depth);
+
+  while (active.length > 0) {
+    const activeIndex = Math.floor(random() * active.length);
+    const [baseX, baseZ] = points[active[activeIndex]];
+    let placed = false;
+
+    for (let attempt = 0; attempt < maxCandidates; attempt += 1) {
+      // Uniform over the annulus between one and two spacings
+      const angle = random() * Math.PI * 2;
+      const distance = minSpacing * Math.sqrt(1 + random() * 3);
+      const x = baseX + Math.cos(angle) * distance;
+      const z = baseZ + Math.sin(angle) * distance;
+
+      if (x < 0 || x >= width || z < 0 || z >= depth || !isFarEnough(x, z)) {
+        continue;
+      }
+
+      addPoint(x, z);
+      placed = true;
+      break;
+    }
+
+    if (!placed) {
+      active.splice(activeIndex, 1);
+    }
+  }
+
+  // Fisher-Yates shuffle, then recenter on the origin
+  for (let index = points.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [points[index], points[swapIndex]] = [points[swapIndex], points[index]];
+  }
+
+  return points.map(([x, z]) => [x - width / 2, z - depth / 2]);
+}
@@ -0,0 +1,110 @@
+import * as THREE from "three/webgpu";
+
+/**
+ * Ground sampling for scattered instances: height and surface normal of a
+ * terrain mesh (raycast straight down) or of a heightmap function, plus the
+ * slope and orientation helpers used to filter and align what is placed.
+ */
+
+const UP = new THREE.Vector3(0, 1, 0);
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+/**
+ * Samples a terrain mesh by casting a ray down from above its bounds.
+ */
+function createMeshSampler(terrain) {
+  terrain.updateWorldMatrix(true, true);
+  const terrainBox = new THREE.Box3().setFromObject(terrain);
+  const raycaster = new THREE.Raycaster();
+  const rayOrigin = new THREE.Vector3();
+  const normalMatrix = new THREE.Matrix3();
+
+  return (x, z) => {
+    if (terrainBox.isEmpty()) return null;
+
+    raycaster.set(rayOrigin.set(x, terrainBox.max.y + 1, z), DOWN);
+    const [hit] = raycaster.intersectObject(terrain, true);
+    if (!hit) return null;
+
+    const normal = hit.face
+      ? hit.face.normal
+          .clone()
+          .applyMatrix3(normalMatrix.getNormalMatrix(hit.object.matrixWorld))
+          .normalize()
+      : UP.clone();
+    // Keep normals of double sided or flipped terrain pointing up
+    if (normal.y < 0) normal.negate();
+
+    return { height: hit.point.y, normal };
+  };
+}
+
+/**
+ * Samples a heightmap function, the normal comes from central differences.
+ */
+function createHeightSampler(heightAt, normalEpsilon) {
+  return (x, z) => {
+    const height = heightAt(x, z);
+    if (!Number.isFinite(height)) return null;
+
+    const normal = new THREE.Vector3(
+      heightAt(x - normalEpsilon, z) - heightAt(x + normalEpsilon, z),
+      normalEpsilon * 2,
+      heightAt(x, z - normalEpsilon) - heightAt(x, z + normalEpsilon)
+    ).normalize();
+
+    return { height, normal };
+  };
+}
+
+/**
+ * Creates a ground sampler `(x, z) => { height, normal } | null` returning
+ * null where there is no ground. `terrain` is an Object3D raycast in world
+ * space; `heightAt(x, z)` is a height function used when no terrain is given.
+ * @param {Object} params - { terrain, heightAt, normalEpsilon }
+ * @returns {Function|null} Sampler, or null without terrain nor heightAt
+ */
+export function createGroundSampler({
+  terrain = null,
+  heightAt = null,
+  normalEpsilon = 0.1,
+}) {
+  if (terrain) return createMeshSampler(terrain);
+  if (heightAt) return createHeightSampler(heightAt, normalEpsilon);
+  return null;
+}
+
+/**
+ * Slope of a ground normal in degrees, 0 on flat ground.
+ * @param {THREE.Vector3} normal - Unit surface normal
+ * @returns {number}
+ */
+export function getSlopeDegrees(normal) {
+  return THREE.MathUtils.radToDeg(
+    Math.acos(THREE.MathUtils.clamp(normal.y, -1, 1))
+  );
+}
+
+/**
+ * Rotation turning an instance by `yaw` radians around its up axis, then by
+ * `rotation` (e.g. getSurfaceRotation) when given, as [x, y, z, w].
+ * @param {number} yaw - Angle around the up axis
+ * @param {number[]|null} rotation - Quaternion applied after the yaw
+ * @returns {number[]}
+ */
+export function getYawRotation(yaw, rotation = null) {
+  const quaternion = new THREE.Quaternion().setFromAxisAngle(UP, yaw);
+  if (rotation) {
+    quaternion.premultiply(new THREE.Quaternion().fromArray(rotation));
+  }
+  return quaternion.toArray();
+}
+
+/**
+ * Rotation that tilts the up axis onto a ground normal, as [x, y, z, w].
+ * @param {THREE.Vector3} normal - Unit surface normal
+ * @returns {number[]}
+ */
+export function getSurfaceRotation(normal) {
+  return new THREE.Quaternion().setFromUnitVectors(UP, normal).toArray();
+}
@@ -0,0 +1,233 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  buildOctahedralMesh,
+  coordsToFlatIndex,
+  createGrid,
+  flatIndexToCoords,
+  getAtlasLayout,
+  OCT_TYPE,
+  octFull,
+  octHemi,
+} from "../src/utils/octahedralHelper.js";
+
+const EPSILON = 1e-9;
+const MODES = [
+  ["HEMI", OCT_TYPE.HEMI],
+  ["FULL", OCT_TYPE.FULL],
+];
+
+function assertArrayClose(actual, expected, message) {
+  assert.equal(actual.length, expected.length, message);
+  actual.forEach((value, index) => {
+    assert.ok(
+      Math.abs(value - expected[index]) < 1e-6,
+      `${message}: expected [${expected}], got [${actual}]`
+    );
+  });
+}
+
+/**
+ * Maps one plane point (x, z in -0.5..0.5) through an octahedron conversion.
+ */
+function convertPoint(convert, x, z) {
+  const point = [x, 0, z];
+  convert(point);
+  return point;
+}
+
+describe("createGrid", () => {
+  test("lays out (cells + 1)² vertices row by row", () => {
+    const points = createGrid(4, 3, 2, 6);
+    assert.equal(points.length, 5 * 4 * 3);
+
+    for (let yi = 0; yi <= 3; yi++) {
+      for (let xi = 0; xi <= 4; xi++) {
+        const index = (yi * 5 + xi) * 3;
+        assertArrayClose(
+          points.slice(index, index + 3),
+          [xi * 0.5 - 1, 0, yi * 2 - 3],
+          `vertex ${xi}, ${yi}`
+        );
+      }
+    }
+  });
+
+  test("centers the grid on the origin unless told otherwise", () => {
+    const centered = createGrid(2, 2);
+    assertArrayClose(centered.slice(0, 3), [-0.5, 0, -0.5], "first");
+    assertArrayClose(centered.slice(-3), [0.5, 0, 0.5], "last");
+
+    const corner = createGrid(2, 2, 1, 1, false);
+    assertArrayClose(corner.slice(0, 3), [0, 0, 0], "first");
+    assertArrayClose(corner.slice(-3), [1, 0, 1], "last");
+  });
+});
+
+describe("octHemi", () => {
+  test("maps the plane onto the upper half of a 0.5 sphere", () => {
+    const points = createGrid(8, 8);
+    octHemi(points);
+
+    for (let i = 0; i < points.length; i += 3) {
+      const [x, y, z] = points.slice(i, i + 3);
+      assert.ok(Math.abs(Math.hypot(x, y, z) - 0.5) < EPSILON);
+      assert.ok(y >= -EPSILON, `vertex ${i / 3} is below the horizon`);
+    }
+  });
+
+  test("puts the zenith in the middle and the horizon on the border", () => {
+    assertArrayClose(convertPoint(octHemi, 0, 0), [0, 0.5, 0], "center");
+    assertArrayClose(convertPoint(octHemi, -0.5, -0.5), [0, 0, -0.5], "u0 v0");
+    assertArrayClose(convertPoint(octHemi, 0.5, -0.5), [0.5, 0, 0], "u1 v0");
+    assertArrayClose(convertPoint(octHemi, -0.5, 0.5), [-0.5, 0, 0], "u0 v1");
+    assertArrayClose(convertPoint(octHemi, 0.5, 0.5), [0, 0, 0.5], "u1 v1");
+  });
+});
+
+describe("octFull", () => {
+  test("maps the plane onto a whole 0.5 sphere", () => {
+    const points = createGrid(8, 8);
+    octFull(points);
+
+    let below = 0;
+    for (let i = 0; i < points.length; i += 3) {
+      const [x, y, z] = points.slice(i, i + 3);
+      assert.ok(Math.abs(Math.hypot(x, y, z) - 0.5) < EPSILON);
+      if (y < -EPSILON) below++;
+    }
+    // Everything outside the inner diamond: 81 vertices, 41 on or inside it
+    // look from below
+    assert.equal(below, 40);
+  });
+
+  test("puts the zenith in the middle and the nadir in the corners", () => {
+    assertArrayClose(convertPoint(octFull, 0, 0), [0, 0.5, 0], "center");
+    assertArrayClose(convertPoint(octFull, 0.5, 0), [0.5, 0, 0], "+X");
+    assertArrayClose(convertPoint(octFull, 0, -0.5), [0, 0, -0.5], "-Z");
+    [-0.5, 0.5].forEach((x) => {
+      [-0.5, 0.5].forEach((z) => {
+        assertArrayClose(
+          convertPoint(octFull, x, z),
+          [0, -0.5, 0],
+          `corner ${x}, ${z}`
+        );
+      });
+    });
+  });
+
+  test("folds the outer triangles onto the lower hemisphere", () => {
+    const s = 0.5 / Math.sqrt(0.5);
+    // u = 1, v = 0.5 folds to (0.5, -0.5, 0)
+    assertArrayClose(
+      convertPoint(octFull, 0.5, 0.25),
+      [0.5 * s, -0.5 * s, 0],
+      "right edge"
+    );
+    // Mirrored across the seam, the same direction
+    assertArrayClose(
+      convertPoint(octFull, 0.5, -0.25),
+      [0.5 * s, -0.5 * s, 0],
+      "mirrored"
+    );
+  });
+});
+
+describe("buildOctahedralMesh", () => {
+  for (const [name, octType] of MODES) {
+    for (const gridSize of [2, 4, 7, 8]) {
+      test(`${name} ${gridSize}: vertex and index counts`, () => {
+        const { pntPlane, pntOct, indices, geometry } = buildOctahedralMesh(
+          octType,
+          gridSize
+        );
+        const vertexCount = (gridSize + 1) ** 2;
+
+        assert.deepEqual(pntPlane, createGrid(gridSize, gridSize));
+        assert.equal(pntOct.length, vertexCount * 3);
+        assert.equal(indices.length, gridSize * gridSize * 6);
+        assert.equal(geometry.getAttribute("position").count, vertexCount);
+        assert.equal(geometry.getAttribute("normal").count, vertexCount);
+        indices.forEach((index) => {
+          assert.ok(Number.isInteger(index) && index >= 0);
+          assert.ok(index < vertexCount);
+        });
+        geometry.dispose();
+      });
+    }
+
+    test(`${name}: every triangle stays on one octahedron face`, () => {
+      const { pntOct, indices, geometry } = buildOctahedralMesh(octType, 8);
+      geometry.dispose();
+
+      for (let t = 0; t < indices.length; t += 3) {
+        const corners = indices
+          .slice(t, t + 3)
+          .map((index) => pntOct.slice(index * 3, index * 3 + 3));
+
+        for (let axis = 0; axis < 3; axis++) {
+          const values = corners.map((corner) => corner[axis]);
+          assert.ok(
+            !(
+              values.some((value) => value > 1e-6) &&
+              values.some((value) => value < -1e-6)
+            ),
+            `triangle ${t / 3} crosses axis ${axis}`
+          );
+        }
+      }
+    });
+  }
+
+  test("rejects unknown octahedron types", () => {
+    assert.throws(() => buildOctahedralMesh(2, 4), /Unknown octahedron type/);
+  });
+});
+
+describe("flat index helpers", () => {
+  test("round trip every cell of a grid", () => {
+    const gridSize = 9;
+    for (let flatIndex = 0; flatIndex < gridSize * gridSize; flatIndex++) {
+      const { row, col } = flatIndexToCoords(flatIndex, gridSize);
+      assert.ok(row >= 0 && row < gridSize && col >= 0 && col < gridSize);
+      assert.equal(coordsToFlatIndex(row, col, gridSize), flatIndex);
+    }
+  });
+
+  test("address the grid vertex of the atlas frame at (row, col)", () => {
+    // The bake loops over gridSize + 1 frames per side
+    const gridSize = 4;
+    const framesPerSide = gridSize + 1;
+    const { pntPlane } = buildOctahedralMesh(OCT_TYPE.HEMI, gridSize);
+    const seen = new Set();
+
+    for (let row = 0; row < framesPerSide; row++) {
+      for (let col = 0; col < framesPerSide; col++) {
+        const flatIndex = coordsToFlatIndex(row, col, framesPerSide);
+        seen.add(flatIndex);
+        assertArrayClose(
+          pntPlane.slice(flatIndex * 3, flatIndex * 3 + 3),
+          [col / gridSize - 0.5, 0, row / gridSize - 0.5],
+          `frame ${row}, ${col}`
+        );
+      }
+    }
+    assert.equal(seen.size, pntPlane.length / 3);
+  });
+});
+
+describe("getAtlasLayout", () => {
+  test("fits gridSize + 1 aligned cells into the atlas", () => {
+    const layout = getAtlasLayout(8, 2048, 3, 2);
+    assert.equal(layout.framesPerSide, 9);
+    assert.equal(layout.cellSize % 8, 0);
+    assert.ok(layout.cellSize * 9 <= 2048);
+    assert.ok((layout.cellSize + 8) * 9 > 2048);
+    assert.equal(layout.contentSize, layout.cellSize - 4);
+    assert.equal(layout.frameUvSize, layout.cellSize / 2048);
+  });
+
+  test("throws when the frames do not fit", () => {
+    assert.throws(() => getAtlasLayout(31, 64, 0, 1), /too small/);
+  });
+});
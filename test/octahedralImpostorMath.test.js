@@ -0,0 +1,285 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import * as THREE from "three";
+import { OCT_TYPE, octFull, octHemi } from "../src/utils/octahedralHelper.js";
+import {
+  computeBarycentric2D,
+  encodeDirectionToOctUV,
+  getSamplingCache,
+  sampleOctahedralDirection,
+} from "../src/utils/octahedralImpostorMath.js";
+
+const EPSILON = 1e-5;
+const MODES = [
+  ["HEMI", OCT_TYPE.HEMI, octHemi],
+  ["FULL", OCT_TYPE.FULL, octFull],
+];
+
+/**
+ * Evenly spread unit directions (Fibonacci sphere) plus the axes, which sit
+ * on the octahedron's vertices and the atlas seams.
+ */
+function sphereDirections(count = 400) {
+  const directions = [
+    [1, 0, 0],
+    [-1, 0, 0],
+    [0, 1, 0],
+    [0, -1, 0],
+    [0, 0, 1],
+    [0, 0, -1],
+  ].map((axis) => new THREE.Vector3().fromArray(axis));
+
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < count; i++) {
+    const y = 1 - ((i + 0.5) / count) * 2;
+    const radius = Math.sqrt(1 - y * y);
+    const angle = golden * i;
+    directions.push(
+      new THREE.Vector3(
+        Math.cos(angle) * radius,
+        y,
+        Math.sin(angle) * radius
+      )
+    );
+  }
+  return directions;
+}
+
+/**
+ * Directions an atlas can show: a hemisphere atlas has no horizon frame to
+ * fall back to when looking straight up from below.
+ */
+function directionsFor(octType) {
+  return sphereDirections().filter(
+    (direction) =>
+      octType === OCT_TYPE.FULL || direction.x !== 0 || direction.z !== 0
+  );
+}
+
+/**
+ * Direction the atlas shows for a view: views from below reuse the horizon
+ * frames of a hemisphere atlas.
+ */
+function expectedDirection(direction, octType) {
+  if (octType === OCT_TYPE.FULL) return direction.clone();
+  return new THREE.Vector3(
+    direction.x,
+    Math.max(direction.y, 0),
+    direction.z
+  ).normalize();
+}
+
+function assertVectorClose(actual, expected, message) {
+  assert.ok(
+    actual.distanceTo(expected) < EPSILON,
+    `${message}: expected ${expected.toArray()}, got ${actual.toArray()}`
+  );
+}
+
+describe("encodeDirectionToOctUV", () => {
+  test("maps the axes to the middle, edges and corners", () => {
+    const cases = [
+      [OCT_TYPE.HEMI, [0, 1, 0], [0.5, 0.5]],
+      [OCT_TYPE.HEMI, [1, 0, 0], [1, 0]],
+      [OCT_TYPE.HEMI, [-1, 0, 0], [0, 1]],
+      [OCT_TYPE.HEMI, [0, 0, 1], [1, 1]],
+      [OCT_TYPE.HEMI, [0, 0, -1], [0, 0]],
+      [OCT_TYPE.FULL, [0, 1, 0], [0.5, 0.5]],
+      [OCT_TYPE.FULL, [1, 0, 0], [1, 0.5]],
+      [OCT_TYPE.FULL, [0, 0, -1], [0.5, 0]],
+      [OCT_TYPE.FULL, [0, -1, 0], [1, 1]],
+    ];
+
+    cases.forEach(([octType, [x, y, z], expected]) => {
+      const { u, v } = encodeDirectionToOctUV({ x, y, z }, octType);
+      assert.ok(
+        Math.abs(u - expected[0]) < EPSILON &&
+          Math.abs(v - expected[1]) < EPSILON,
+        `${octType} (${x}, ${y}, ${z}): got (${u}, ${v})`
+      );
+    });
+  });
+
+  test("ignores the length of the direction", () => {
+    const direction = new THREE.Vector3(0.3, -0.5, 0.8);
+    MODES.forEach(([name, octType]) => {
+      const unit = encodeDirectionToOctUV(direction, octType);
+      const scaled = encodeDirectionToOctUV(
+        direction.clone().multiplyScalar(7),
+        octType
+      );
+      assert.ok(Math.abs(unit.u - scaled.u) < EPSILON, name);
+      assert.ok(Math.abs(unit.v - scaled.v) < EPSILON, name);
+    });
+  });
+
+  for (const [name, octType, convert] of MODES) {
+    test(`${name}: is the inverse of the plane to sphere mapping`, () => {
+      directionsFor(octType).forEach((direction, index) => {
+        const { u, v } = encodeDirectionToOctUV(direction, octType);
+        assert.ok(u >= 0 && u <= 1 && v >= 0 && v <= 1, `uv ${index}`);
+
+        const point = [u - 0.5, 0, v - 0.5];
+        convert(point);
+        assertVectorClose(
+          new THREE.Vector3().fromArray(point).normalize(),
+          expectedDirection(direction, octType),
+          `direction ${index}`
+        );
+      });
+    });
+  }
+});
+
+describe("computeBarycentric2D", () => {
+  const triangle = [
+    [0, 0],
+    [4, 0],
+    [0, 2],
+  ];
+
+  test("gives each corner its full weight", () => {
+    const weights = new THREE.Vector3();
+    triangle.forEach(([x, y], corner) => {
+      computeBarycentric2D(x, y, triangle, weights);
+      assert.ok(Math.abs(weights.getComponent(corner) - 1) < EPSILON);
+    });
+  });
+
+  test("reconstructs points inside the triangle", () => {
+    const weights = new THREE.Vector3();
+    [
+      [1, 0.5],
+      [4 / 3, 2 / 3],
+      [2, 1],
+      [0.1, 1.5],
+    ].forEach(([px, py]) => {
+      computeBarycentric2D(px, py, triangle, weights);
+      const x = weights.y * 4;
+      const y = weights.z * 2;
+      assert.ok(Math.abs(weights.x + weights.y + weights.z - 1) < EPSILON);
+      assert.ok(Math.abs(x - px) < EPSILON && Math.abs(y - py) < EPSILON);
+    });
+  });
+
+  test("clamps points outside to non-negative weights", () => {
+    const weights = computeBarycentric2D(5, 5, triangle, new THREE.Vector3());
+    assert.ok(weights.x >= 0 && weights.y >= 0 && weights.z >= 0);
+    assert.ok(Math.abs(weights.x + weights.y + weights.z - 1) < EPSILON);
+  });
+
+  test("splits degenerate triangles evenly", () => {
+    const line = [
+      [0, 0],
+      [1, 1],
+      [2, 2],
+    ];
+    const weights = computeBarycentric2D(1, 1, line, new THREE.Vector3());
+    const even = new THREE.Vector3(1, 1, 1).divideScalar(3);
+    assert.ok(weights.distanceTo(even) < EPSILON);
+  });
+});
+
+describe("sampleOctahedralDirection", () => {
+  test("fails without a sampling cache", () => {
+    assert.equal(
+      sampleOctahedralDirection({
+        direction: new THREE.Vector3(0, 1, 0),
+        cache: null,
+        indicesTarget: new THREE.Vector3(),
+        weightsTarget: new THREE.Vector3(),
+      }),
+      false
+    );
+  });
+
+  test("caches one sampling grid per type and size", () => {
+    const cache = getSamplingCache(OCT_TYPE.FULL, 6);
+    assert.equal(getSamplingCache(OCT_TYPE.FULL, 6), cache);
+    assert.notEqual(getSamplingCache(OCT_TYPE.HEMI, 6), cache);
+    assert.equal(cache.cells.length, 36);
+  });
+
+  for (const [name, octType, convert] of MODES) {
+    // Odd grids have no vertices on the octahedron edges through the middle
+    // of the atlas, their triangles straddle two faces
+    for (const gridSize of [2, 4, 8, 16]) {
+      test(`${name} ${gridSize}: samples reconstruct the direction`, () => {
+        const cache = getSamplingCache(octType, gridSize);
+        const stride = gridSize + 1;
+        const vertexCount = stride * stride;
+        const indices = new THREE.Vector3();
+        const weights = new THREE.Vector3();
+
+        // Frame directions scaled onto the octahedron |x| + |y| + |z| = 1,
+        // where barycentric interpolation within a face is exact
+        const corners = [];
+        for (let index = 0; index < vertexCount; index++) {
+          const point = [
+            (index % stride) / gridSize - 0.5,
+            0,
+            Math.floor(index / stride) / gridSize - 0.5,
+          ];
+          convert(point);
+          const corner = new THREE.Vector3().fromArray(point);
+          corners.push(
+            corner.divideScalar(
+              Math.abs(corner.x) + Math.abs(corner.y) + Math.abs(corner.z)
+            )
+          );
+        }
+
+        directionsFor(octType).forEach((direction, sample) => {
+          assert.ok(
+            sampleOctahedralDirection({
+              direction,
+              cache,
+              indicesTarget: indices,
+              weightsTarget: weights,
+            })
+          );
+
+          const sampledIndices = indices.toArray();
+          const sampledWeights = weights.toArray();
+          sampledIndices.forEach((index) => {
+            assert.ok(Number.isInteger(index));
+            assert.ok(index >= 0 && index < vertexCount);
+          });
+          sampledWeights.forEach((weight) => assert.ok(weight >= 0));
+          assert.ok(
+            Math.abs(weights.x + weights.y + weights.z - 1) < EPSILON,
+            `weights of sample ${sample}`
+          );
+
+          // Weighted frame coordinates land on the encoded UV
+          const { u, v } = encodeDirectionToOctUV(direction, octType);
+          let frameU = 0;
+          let frameV = 0;
+          sampledIndices.forEach((index, corner) => {
+            frameU += ((index % stride) / gridSize) * sampledWeights[corner];
+            frameV +=
+              (Math.floor(index / stride) / gridSize) * sampledWeights[corner];
+          });
+          assert.ok(
+            Math.abs(frameU - u) < EPSILON && Math.abs(frameV - v) < EPSILON,
+            `uv of sample ${sample}`
+          );
+
+          // And the weighted frame directions on the view direction
+          const reconstructed = new THREE.Vector3();
+          sampledIndices.forEach((index, corner) => {
+            reconstructed.addScaledVector(
+              corners[index],
+              sampledWeights[corner]
+            );
+          });
+          assertVectorClose(
+            reconstructed.normalize(),
+            expectedDirection(direction, octType),
+            `direction of sample ${sample}`
+          );
+        });
+      });
+    }
+  }
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import * as THREE from "three";
+import {
+  buildOctahedralMesh,
+  OCT_TYPE,
+} from "../src/utils/octahedralHelper.js";
+import { encodeDirectionToOctUV } from "../src/utils/octahedralImpostorMath.js";
+import {
+  createBakeCamera,
+  placeBakeCamera,
+} from "../src/utils/impostorBakeSetup.js";
+
+const EPSILON = 1e-6;
+const GRID_SIZES = [2, 4, 8, 15, 16];
+const MODES = [
+  ["HEMI", OCT_TYPE.HEMI],
+  ["FULL", OCT_TYPE.FULL],
+];
+
+/**
+ * Unit view directions of every grid vertex, in vertex order.
+ */
+function frameDirections(octType, gridSize) {
+  const { pntOct, geometry } = buildOctahedralMesh(octType, gridSize);
+  geometry.dispose();
+
+  const directions = [];
+  for (let i = 0; i < pntOct.length; i += 3) {
+    directions.push(new THREE.Vector3().fromArray(pntOct, i).normalize());
+  }
+  return directions;
+}
+
+function assertVectorClose(actual, expected, message) {
+  assert.ok(
+    actual.distanceTo(expected) < EPSILON,
+    `${message}: expected ${expected.toArray()}, got ${actual.toArray()}`
+  );
+}
+
+describe("octahedral frame directions", () => {
+  for (const [name, octType] of MODES) {
+    for (const gridSize of GRID_SIZES) {
+      test(`${name} ${gridSize}: frames encode onto their vertex`, () => {
+        const directions = frameDirections(octType, gridSize);
+        const stride = gridSize + 1;
+
+        directions.forEach((direction, index) => {
+          const { u, v } = encodeDirectionToOctUV(direction, octType);
+          const col = u * gridSize;
+          const row = v * gridSize;
+          const snappedCol = Math.round(col);
+          const snappedRow = Math.round(row);
+
+          assert.ok(
+            Math.abs(col - snappedCol) < 1e-4 &&
+              Math.abs(row - snappedRow) < 1e-4,
+            `frame ${index} encodes between vertices (${col}, ${row})`
+          );
+
+          // Seam vertices of the full octahedron share their direction with
+          // a mirrored vertex, so compare directions rather than indices
+          assertVectorClose(
+            directions[snappedRow * stride + snappedCol],
+            direction,
+            `frame ${index}`
+          );
+        });
+      });
+    }
+  }
+
+  test("HEMI frames stay on or above the horizon", () => {
+    frameDirections(OCT_TYPE.HEMI, 8).forEach((direction, index) => {
+      assert.ok(direction.y >= -EPSILON, `frame ${index} is below`);
+    });
+  });
+
+  test("FULL frames cover the lower hemisphere", () => {
+    const gridSize = 8;
+    const stride = gridSize + 1;
+    const directions = frameDirections(OCT_TYPE.FULL, gridSize);
+
+    // Vertices outside the inner diamond look from below, the corners from
+    // straight below
+    directions.forEach((direction, index) => {
+      const u = ((index % stride) / gridSize) * 2 - 1;
+      const v = (Math.floor(index / stride) / gridSize) * 2 - 1;
+      const expectedY = 1 - Math.abs(u) - Math.abs(v);
+      assert.equal(
+        Math.sign(Math.round(direction.y * 1e6)),
+        Math.sign(expectedY),
+        `frame ${index}`
+      );
+    });
+    assertVectorClose(directions[0], new THREE.Vector3(0, -1, 0), "corner");
+    assertVectorClose(
+      directions[(gridSize / 2) * stride + gridSize / 2],
+      new THREE.Vector3(0, 1, 0),
+      "center"
+    );
+  });
+
+  test("HEMI clamps views from below to the horizon frames", () => {
+    const below = encodeDirectionToOctUV(
+      { x: 0.6, y: -0.8, z: 0 },
+      OCT_TYPE.HEMI
+    );
+    const horizon = encodeDirectionToOctUV({ x: 1, y: 0, z: 0 }, OCT_TYPE.HEMI);
+    assert.ok(Math.abs(below.u - horizon.u) < EPSILON);
+    assert.ok(Math.abs(below.v - horizon.v) < EPSILON);
+  });
+});
+
+describe("bake camera orientation", () => {
+  // CPU mirror of lookAtBasis in octahedralImpostorNodes, the axes the
+  // sampler assumes for the image of a frame
+  function samplerBasis(forward) {
+    const right = new THREE.Vector3().crossVectors(
+      new THREE.Vector3(0, 1, 0),
+      forward
+    );
+    if (right.length() < 1e-5) right.set(1, 0, 0);
+    else right.normalize();
+
+    return { right, up: new THREE.Vector3().crossVectors(forward, right) };
+  }
+
+  const framing = {
+    orthoSize: 1,
+    lookAtTarget: new THREE.Vector3(0, 0, 0),
+    cameraDistance: 5,
+  };
+
+  for (const [name, octType] of MODES) {
+    test(`${name}: every frame is baked with the sampler's axes`, () => {
+      const camera = createBakeCamera(framing);
+      const right = new THREE.Vector3();
+      const up = new THREE.Vector3();
+      const back = new THREE.Vector3();
+
+      frameDirections(octType, 8).forEach((direction, index) => {
+        placeBakeCamera(camera, direction, framing);
+        camera.matrixWorld.extractBasis(right, up, back);
+
+        const expected = samplerBasis(direction);
+        assertVectorClose(back, direction, `frame ${index} view`);
+        assertVectorClose(right, expected.right, `frame ${index} right`);
+        assertVectorClose(up, expected.up, `frame ${index} up`);
+      });
+    });
+  }
+});